@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Compare resolving large rendered strings with `resolveIds` against
+ * the previous implementation, which replaced each id by calling
+ * `str.split(key).join(val)` on the whole string.
+ *
+ * ```sh
+ * $ node benchmark
+ * ```
+ */
+
+var AsyncHelpers = require('..');
+
+function upper(str) {
+  return str.toUpperCase();
+}
+
+function render(asyncHelpers, count) {
+  var helper = asyncHelpers.get('upper', {wrap: true});
+  var str = '';
+  for (var i = 0; i < count; i++) {
+    str += '<li class="item">' + helper('item-' + i) + '</li>\n';
+  }
+  return str;
+}
+
+function splitJoin(asyncHelpers, str) {
+  var keys = asyncHelpers.matches(str) || [];
+  return Promise.all(keys.map(function(key) {
+    return asyncHelpers.resolveId(key);
+  }))
+    .then(function(vals) {
+      for (var i = 0; i < keys.length; i++) {
+        str = str.split(keys[i]).join(vals[i]);
+      }
+      return str;
+    });
+}
+
+function tokenized(asyncHelpers, str) {
+  return asyncHelpers.resolveIds(str);
+}
+
+function run(name, fn, count) {
+  var asyncHelpers = new AsyncHelpers();
+  asyncHelpers.set('upper', upper);
+  var str = render(asyncHelpers, count);
+  var start = process.hrtime();
+
+  return fn(asyncHelpers, str).then(function(res) {
+    var diff = process.hrtime(start);
+    var ms = (diff[0] * 1e3 + diff[1] / 1e6).toFixed(2);
+    console.log('  %s: %sms (%d chars)', name, ms, res.length);
+  });
+}
+
+var counts = [100, 1000, 5000, 10000];
+
+counts.reduce(function(acc, count) {
+  return acc.then(function() {
+    console.log('%d ids', count);
+    return run('split/join', splitJoin, count)
+      .then(function() {
+        return run('resolveIds', tokenized, count);
+      });
+  });
+}, Promise.resolve())
+  .catch(console.error);
@@ -39,80 +39,15 @@ function partialName(name, options) {
   return name || 'my-partial';
 }
 
-/**
- * Method mostly from Handlebars/runtime#invokePartialWrapper
- */
-
-function invokePartialWrapper(partial, context, options) {
-  var env = Handlebars;
-  if (options.hash) {
-    context = Object.assign({}, context, options.hash);
-    if (options.ids) {
-      options.ids[0] = true;
-    }
-  }
-
-  partial = env.VM.resolvePartial.call(env.VM, partial, context, options);
-  var result = env.VM.invokePartial.call(env.VM, partial, context, options);
-
-  if (result == null && env.compile) {
-    options.partials[options.name] = env.compile(partial, options);
-    result = options.partials[options.name](context, options);
-  }
-
-  if (result != null) {
-    if (options.indent) {
-      let lines = result.split('\n');
-      for (let i = 0, l = lines.length; i < l; i++) {
-        if (!lines[i] && i + 1 === l) {
-          break;
-        }
-
-        lines[i] = options.indent + lines[i];
-      }
-      result = lines.join('\n');
-    }
-    return result;
-  }
-
-  throw new Exception('The partial ' + options.name + ' could not be compiled when running in runtime-only mode');
-}
-
-function __async_helpers_invokePartial(partial, context, options, cb) {
-  var id = options.name;
-  // console.log(options);
-  asyncHelpers.resolveIds(id, function(err, name) {
-    if (err) return cb(err);
-    options.name = name;
-    var res = '';
-    try {
-      // similar to what's done in Handlebars invokePartialWrapper function
-      // var partial = Handlebars.VM.resolvePartial.call(Handlebars.VM, partial, context, options);
-      // res = invokePartial.call(Handlebars.VM, partial, context, options);
-      // if (!res) {
-      //   options.partials[options.name] = Handlebars.compile(partial, options);
-      //   res = options.partials[options.name](context, options);
-      // }
-      res = invokePartialWrapper(partial, context, options);
-    } catch (err) {
-      cb(err);
-      return;
-    }
-    cb(null, res);
-  });
-}
-
 // async helpers must have an `async` property
 lower.async = true;
 spacer.async = true;
-__async_helpers_invokePartial.async = true;
 
 // add the helpers to asyncHelpers
 asyncHelpers.set('upper', upper);
 asyncHelpers.set('lower', lower);
 asyncHelpers.set('spacer', spacer);
 asyncHelpers.set('partialName', partialName);
-asyncHelpers.set('__async_helpers_invokePartial', __async_helpers_invokePartial);
 
 // pull the helpers back out and wrap them
 // with async handling functionality
@@ -120,16 +55,9 @@ var helpers = asyncHelpers.get({wrap: true});
 
 // using Handlebars, render a template with the helpers
 var Handlebars = require('handlebars');
-var invokePartial = Handlebars.VM.invokePartial;
-Handlebars.VM.invokePartial = function(partial, context, options) {
-  var name = options.name;
-  if (asyncHelpers.hasAsyncId(name)) {
-    // create inline helper to invoke the partial when the helper is ready
-    return helpers.__async_helpers_invokePartial.apply(this, arguments);
-  }
-  // return 'foo';
-  return invokePartial.apply(Handlebars.VM, arguments);
-};
+
+// render partials with names from async helpers
+asyncHelpers.partials(Handlebars);
 
 Handlebars.registerPartial('my-partial', `partial:
 
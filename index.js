@@ -7,24 +7,48 @@
 
 'use strict';
 
+var EventEmitter = require('events').EventEmitter;
+var Readable = require('stream').Readable;
+var util = require('util');
+var crypto = require('crypto');
 var typeOf = require('kind-of');
-var co = require('co');
+var MemoryStore = require('./lib/stores/memory');
+var FileStore = require('./lib/stores/file');
+var errors = require('./lib/errors');
+var AsyncHelperError = errors.AsyncHelperError;
+var AbortError = errors.AbortError;
+var escapeHtml = require('./lib/utils').escapeHtml;
+var createAdapter = require('./lib/adapters');
+var handlebars = require('./lib/adapters/handlebars');
+var lodash = require('./lib/adapters/lodash');
+var ejs = require('./lib/adapters/ejs');
+var template = require('./lib/adapters/template');
 
 /**
  * Caches
  */
 
 var cache = {};
-var stash = {};
 
 /**
- * Create a new instance of AsyncHelpers
+ * Create a new instance of AsyncHelpers. Instances are event emitters,
+ * see `events` below.
  *
  * ```js
  * var asyncHelpers = new AsyncHelpers();
  * ```
  *
  * @param {Object} `options` options to pass to instance
+ *   @option {String} `prefix` Prefix to use for async ids. Defaults to `{$ASYNCID$`.
+ *   @option {Boolean} `nonce` Add a random value to the prefix so async ids can't be guessed, e.g. by user supplied content.
+ *   @option {Boolean} `escape` Create async ids that show whether the template engine HTML escaped them, and also recognize URL encoded ids. Resolved values are escaped the same way.
+ *   @option {Number} `concurrency` Maximum number of helpers to run at the same time. Helpers may also define their own limit with `fn.concurrency`.
+ *   @option {Number} `timeout` Milliseconds to wait for a helper before failing with a timeout error. Helpers may override this with `fn.timeout`.
+ *   @option {Boolean|Object} `memoize` Share one execution between calls to the same helper with the same arguments. Pass `{ttl: ms}` to expire results, and `{max: n}` to change the number of results that are kept (defaults to `1000`). Helpers may override this with `fn.memoize`.
+ *   @option {Object} `store` Store with async `get`, `set` and `delete` methods used to cache the results of helpers marked with `fn.cacheable`. See `MemoryStore` and `FileStore`.
+ *   @option {Function} `onWarning` Called with problems that don't fail the render, like helpers that call back more than once.
+ *   @option {String|Function} `fallback` Output to use for failing helpers instead of failing the render. Functions are called with the error. Helpers may handle their own errors with `fn.onError`.
+ *   @option {Boolean} `aggregate` Resolve everything that doesn't fail, then reject with an `AggregateError` that has all of the `errors` and the `output`. Failing helpers output the `fallback` or an empty string.
  * @return {Object} new AsyncHelpers instance
  * @api public
  */
@@ -33,14 +57,56 @@ function AsyncHelpers(options) {
   if (!(this instanceof AsyncHelpers)) {
     return new AsyncHelpers(options);
   }
+  EventEmitter.call(this);
   this.options = Object.assign({}, options);
   this.prefix = this.options.prefix || '{$ASYNCID$';
+  if (this.options.nonce === true) {
+    this.prefix = appendPrefix(this.prefix, crypto.randomBytes(16).toString('hex'));
+  }
   this.globalCounter = AsyncHelpers.globalCounter++;
   this.helpers = {};
+  this.stash = {};
   this.counter = 0;
-  this.prefixRegex = toRegex(this.prefix);
+  // nonce prefixes are unique to the instance, so their regexes aren't cached
+  var nocache = this.options.nonce === true;
+  this.prefixRegex = this.options.escape
+    ? toEscapeRegex(this.prefix, nocache)
+    : toRegex(this.prefix, nocache);
+  this.limiters = new Map();
+  this.memo = new Map();
+
+  assertPositive(this.options, 'concurrency');
+  assertPositive(this.options, 'timeout');
+
+  var concurrency = this.options.concurrency;
+  this.limiter = isFinitePositive(concurrency) ? createLimiter(concurrency) : null;
 }
 
+/**
+ * Events are emitted with an object that has the `name`, `id` and `args`
+ * of the helper:
+ *
+ * - `token:create` when a wrapped helper creates an async id
+ * - `helper:start` when a helper is called, with the resolved `args`
+ * - `helper:end` when a helper is done, with its `result` and `duration` in milliseconds
+ * - `helper:error` when a helper fails, with the `error` and `duration`
+ *
+ * and with an object that has the `input` string:
+ *
+ * - `resolve:start` when `resolve` or `iterate` starts
+ * - `resolve:end` when it's done, with the `output` or the `error`, and the `duration`
+ *
+ * Listeners on an instance also get the events of its sessions.
+ *
+ * ```js
+ * asyncHelpers.on('helper:end', function(event) {
+ *   console.log(event.name, event.duration + 'ms');
+ * });
+ * ```
+ */
+
+util.inherits(AsyncHelpers, EventEmitter);
+
 /**
  * Keep track of instances created for generating globally
  * unique ids
@@ -49,7 +115,174 @@ function AsyncHelpers(options) {
 
 AsyncHelpers.globalCounter = 0;
 AsyncHelpers.cache = cache;
-AsyncHelpers.stash = stash;
+
+/**
+ * Stores that may be passed to the `store` option
+ */
+
+AsyncHelpers.MemoryStore = MemoryStore;
+AsyncHelpers.FileStore = FileStore;
+
+/**
+ * Error classes used for helpers that fail while resolving,
+ * and when resolving is aborted
+ */
+
+AsyncHelpers.AsyncHelperError = AsyncHelperError;
+AsyncHelpers.AbortError = AbortError;
+
+/**
+ * Async `each` and `with` block helpers for Handlebars
+ */
+
+AsyncHelpers.helpers = require('./lib/helpers');
+
+/**
+ * Create an adapter for the Handlebars environment `hbs` that
+ * registers helpers, renders templates and resolves the async ids in
+ * one call. Compiled templates return a promise for the final string.
+ * Async ids are escaped by default, the same way Handlebars escapes
+ * `{{expressions}}`.
+ *
+ * ```js
+ * var adapter = AsyncHelpers.handlebars(Handlebars.create());
+ * adapter.registerHelper('upper', function(str, options, cb) {
+ *   cb(null, str.toUpperCase());
+ * });
+ *
+ * adapter.compile('{{#if (upper name)}}{{upper name}}{{/if}}')({name: 'doowb'})
+ *   .then(function(content) {
+ *     console.log(content);
+ *     //=> 'DOOWB'
+ *   });
+ * ```
+ * @param  {Object} `hbs` Handlebars environment
+ * @param  {Object} `options` Options for the AsyncHelpers instance, and `load` to load partials
+ *   @option {Object} `asyncHelpers` Use an existing AsyncHelpers instance
+ * @return {Object} Adapter with `registerHelper`, `registerPartial`, `compile` and `render` methods
+ * @api public
+ */
+
+AsyncHelpers.handlebars = function(hbs, options) {
+  return handlebars.adapter(adapterInstance(options), hbs, options);
+};
+
+/**
+ * Create an adapter for Lodash or Underscore templates. Compiled
+ * templates return a promise for the final string. Async helpers are
+ * called with a callback after the arguments passed in the template.
+ * Async ids are escaped by default, so values rendered with `<%- %>`
+ * are escaped.
+ *
+ * ```js
+ * var adapter = AsyncHelpers.lodash(_);
+ * adapter.registerHelper('upper', function(str, cb) {
+ *   cb(null, str.toUpperCase());
+ * });
+ *
+ * adapter.compile('<%= upper(name) %>')({name: 'doowb'})
+ *   .then(function(content) {
+ *     console.log(content);
+ *     //=> 'DOOWB'
+ *   });
+ * ```
+ * @param  {Object} `_` Lodash or Underscore
+ * @param  {Object} `options` Options for the AsyncHelpers instance
+ *   @option {Object} `asyncHelpers` Use an existing AsyncHelpers instance
+ * @return {Object} Adapter with `registerHelper`, `compile` and `render` methods
+ * @api public
+ */
+
+AsyncHelpers.lodash = function(_, options) {
+  return lodash(adapterInstance(options), _);
+};
+
+/**
+ * Create an adapter for EJS templates. Helpers are available as
+ * locals, and async helpers are called with a callback after the
+ * arguments passed in the template.
+ *
+ * ```js
+ * var adapter = AsyncHelpers.ejs(require('ejs'));
+ * adapter.registerHelper('upper', function(str, cb) {
+ *   cb(null, str.toUpperCase());
+ * });
+ *
+ * adapter.render('<%= upper(name) %>', {name: 'doowb'})
+ *   .then(function(content) {
+ *     console.log(content);
+ *     //=> 'DOOWB'
+ *   });
+ * ```
+ * @param  {Object} `ejs` EJS module
+ * @param  {Object} `options` Options for the AsyncHelpers instance
+ *   @option {Object} `asyncHelpers` Use an existing AsyncHelpers instance
+ * @return {Object} Adapter with `registerHelper`, `compile` and `render` methods
+ * @api public
+ */
+
+AsyncHelpers.ejs = function(ejsModule, options) {
+  return ejs(adapterInstance(options), ejsModule);
+};
+
+/**
+ * Create an adapter for functions that render tagged template
+ * literals. Templates are called with the data, the helpers and an
+ * `html` tag that escapes the values of the template literal.
+ *
+ * ```js
+ * var adapter = AsyncHelpers.template();
+ * adapter.registerHelper('upper', function(str, cb) {
+ *   cb(null, str.toUpperCase());
+ * });
+ *
+ * var fn = adapter.compile(function(data, helpers, html) {
+ *   return html`<h1>${helpers.upper(data.title)}</h1>`;
+ * });
+ *
+ * fn({title: 'Tom & Jerry'})
+ *   .then(function(content) {
+ *     console.log(content);
+ *     //=> '<h1>TOM &amp; JERRY</h1>'
+ *   });
+ * ```
+ * @param  {Object} `options` Options for the AsyncHelpers instance
+ *   @option {Object} `asyncHelpers` Use an existing AsyncHelpers instance
+ * @return {Object} Adapter with `registerHelper`, `compile` and `render` methods
+ * @api public
+ */
+
+AsyncHelpers.template = function(options) {
+  return template(adapterInstance(options));
+};
+
+/**
+ * Create an adapter for any template engine. The `engine` object has
+ * a `compile` method that returns a template, and optional `render`
+ * and `postProcess` methods. By default, templates are called with
+ * the helpers added to the data, and the rendered string is resolved
+ * with `session.resolve`. See `lib/adapters/index.js` for details.
+ *
+ * ```js
+ * var adapter = AsyncHelpers.adapter({
+ *   compile: function(str, options) {
+ *     return engine.compile(str, options);
+ *   },
+ *   render: function(fn, data, ctx) {
+ *     return fn(data, {helpers: ctx.helpers});
+ *   }
+ * });
+ * ```
+ * @param  {Object} `engine`
+ * @param  {Object} `options` Options for the AsyncHelpers instance
+ *   @option {Object} `asyncHelpers` Use an existing AsyncHelpers instance
+ * @return {Object} Adapter with `registerHelper`, `compile` and `render` methods
+ * @api public
+ */
+
+AsyncHelpers.adapter = function(engine, options) {
+  return createAdapter(adapterInstance(options), engine);
+};
 
 /**
  * Add a helper to the cache.
@@ -133,8 +366,13 @@ AsyncHelpers.prototype.wrapHelper = function(helper, options) {
 
   var type = typeOf(helper);
   switch (type) {
-    case 'string':
-      return this.wrapHelper(this.helpers[helper], options);
+    case 'string': {
+      var fn = this.helpers[helper];
+      if (typeof fn === 'function' && !fn.name && !fn.displayName) {
+        fn.displayName = helper;
+      }
+      return this.wrapHelper(fn, options);
+    }
     case 'object':
       return this.wrapHelpers(helper, options);
     case 'function':
@@ -197,7 +435,7 @@ AsyncHelpers.prototype.wrapper = function(name, fn) {
   // wrap the helper and generate a unique ID for resolving it
   function wrapper() {
     var num = self.counter++;
-    var id = createId(prefix, num);
+    var id = createId(prefix, num, self.options.escape ? '&' : '');
 
     var token = {
       name: name,
@@ -210,7 +448,8 @@ AsyncHelpers.prototype.wrapper = function(name, fn) {
     };
 
     define(token, 'context', this);
-    stash[id] = token;
+    self.stash[id] = token;
+    emit(self, 'token:create', {name: name, id: id, args: token.args});
     return id;
   }
 
@@ -220,7 +459,8 @@ AsyncHelpers.prototype.wrapper = function(name, fn) {
 };
 
 /**
- * Reset all the stashed helpers.
+ * Reset all the stashed helpers and memoized results on this
+ * instance. Helpers stashed by other instances are not affected.
  *
  * ```js
  * asyncHelpers.reset();
@@ -230,11 +470,77 @@ AsyncHelpers.prototype.wrapper = function(name, fn) {
  */
 
 AsyncHelpers.prototype.reset = function() {
-  stash = {};
+  this.stash = {};
+  this.memo = new Map();
   this.counter = 0;
   return this;
 };
 
+/**
+ * Create a render session. A session shares the helpers registered
+ * on this instance, but owns the tokens created by the wrapped helpers
+ * it hands out and the results memoized while resolving them. Tokens
+ * are freed once they've been resolved by `session.resolve` (or
+ * `session.resolveIds`), or when the session is disposed.
+ *
+ * ```js
+ * var session = asyncHelpers.session();
+ * var helpers = session.get({wrap: true});
+ * var str = template(helpers);
+ *
+ * session.resolve(str)
+ *   .then(function(content) {
+ *     console.log(content);
+ *     console.log(session.count());
+ *     //=> 0
+ *   });
+ * ```
+ * @return {Object} Session that inherits from this instance.
+ * @api public
+ */
+
+AsyncHelpers.prototype.session = function() {
+  var session = Object.create(this);
+  // sessions get their own listeners, events are passed up by `emit`
+  EventEmitter.call(session);
+  session.globalCounter = AsyncHelpers.globalCounter++;
+  session.stash = {};
+  session.memo = new Map();
+  session.counter = 0;
+  define(session, 'isSession', true);
+  return session;
+};
+
+/**
+ * Free all of the tokens created by a session. This is the same as
+ * calling `reset` and may be used on instances as well as sessions.
+ *
+ * ```js
+ * session.dispose();
+ * ```
+ * @return {Object} Returns `this` to enable chaining
+ * @api public
+ */
+
+AsyncHelpers.prototype.dispose = function() {
+  return this.reset();
+};
+
+/**
+ * Returns the number of tokens that are still stashed
+ * and waiting to be resolved.
+ *
+ * ```js
+ * console.log(asyncHelpers.count());
+ * ```
+ * @return {Number}
+ * @api public
+ */
+
+AsyncHelpers.prototype.count = function() {
+  return Object.keys(this.stash).length;
+};
+
 /**
  * Get all matching ids from the given `str`
  * @return {Array} Returns an array of matching ids
@@ -256,18 +562,24 @@ AsyncHelpers.prototype.hasAsyncId = function(str) {
   if (typeof str !== 'string') {
     throw new TypeError('AsyncHelpers#hasAsyncId expects a string');
   }
+  if (this.options.escape && str.indexOf(encodeURIComponent(this.prefix)) !== -1) {
+    return true;
+  }
   return str.indexOf(this.prefix) !== -1;
 };
 
 /**
  * Resolve a stashed helper by the generated id.
- * This is a generator function and should be used with [co][]
+ * Helpers may call the callback (when `fn.async` is true) or
+ * return a promise, e.g. when defined as an `async function`.
+ * Helpers that fail are called again when they define `fn.retry`,
+ * e.g. `fn.retry = {attempts: 3, backoff: 100}`.
  *
  * ```js
  * var upper = asyncHelpers.get('upper', {wrap: true});
  * var id = upper('doowb');
  *
- * co(asyncHelpers.resolveId(id))
+ * asyncHelpers.resolveId(id)
  *   .then(console.log)
  *   .catch(console.error);
  *
@@ -275,139 +587,195 @@ AsyncHelpers.prototype.hasAsyncId = function(str) {
  * ```
  *
  * @param  {String} `key` ID generated when from executing a wrapped helper.
+ * @return {Promise} Promise that resolves to the helper's result.
  * @api public
  */
 
-AsyncHelpers.prototype.resolveId = function * (key) {
+AsyncHelpers.prototype.resolveId = function(key) {
   if (typeof key !== 'string') {
-    throw new Error('AsyncHelpers#resolveId: expects `key` to be a string.');
+    return Promise.reject(new Error('AsyncHelpers#resolveId: expects `key` to be a string.'));
   }
 
-  var helper = stash[key];
+  var helper = this.stash[key];
   if (!helper) {
-    throw new Error('AsyncHelpers#resolveId: cannot resolve helper: "' + key + '"');
+    return Promise.reject(new Error('AsyncHelpers#resolveId: cannot resolve helper: "' + key + '"'));
   }
 
-  var args = yield this.resolveArgs(helper);
-  var self = this;
-  var str;
+  // the same id may be resolved from several places at once
+  if (helper.promise) {
+    return helper.promise;
+  }
 
-  return yield function(cb) {
-    if (typeof helper.fn !== 'function') {
-      cb(null, helper.fn);
-      return;
-    }
+  if (isAborted(helper)) {
+    return Promise.reject(new AbortError(helper.signal));
+  }
 
-    var next = function(err, val) {
-      if (typeof val !== 'undefined') {
-        helper.fn = val;
-        cb(err, helper.fn);
-        return;
-      }
-      cb(err, '');
-      return;
-    };
+  var self = this;
+  var promise = this.resolveArgs(helper)
+    .then(function(args) {
+      return memoize(self, helper, args, function() {
+        return cached(self, helper, args, function() {
+          return invoke(self, helper, args);
+        });
+      });
+    })
+    .then(function(val) {
+      helper.settled = true;
+      return val;
+    }, function(err) {
+      helper.settled = true;
+      return recover(self, helper, err);
+    });
 
-    if (helper.fn.async) {
-      var callback = function(err, result) {
-        if (err) {
-          next(formatError(err, helper, args));
-          return;
-        }
+  define(helper, 'promise', promise);
+  return promise;
+};
 
-        if (typeof result === 'string' && self.hasAsyncId(result)) {
-          self.resolveIds(result, next);
-          return;
-        }
+/**
+ * Resolve helper arguments that contain async ids. Arguments are
+ * resolved concurrently. When more than one argument fails, the
+ * error from the first argument is used.
+ *
+ * This is used inside `resolveId`:
+ *
+ * ```js
+ * asyncHelpers.resolveArgs(helper)
+ *   .then(function(args) {
+ *     return helper.fn.apply(helper.context, args);
+ *   });
+ * ```
+ * @param {Object} `helper` helper object with an `args` array.
+ * @return {Promise} Promise that resolves to the array of resolved arguments.
+ */
 
-        next(null, result);
-        return;
-      };
+AsyncHelpers.prototype.resolveArgs = function(helper) {
+  var self = this;
 
-      args.push(callback);
-    }
+  var pending = helper.args.map(function(arg, i) {
+    if (!arg) return;
 
-    try {
-      str = helper.fn.apply(helper.context, args);
-      if (typeof str === 'string' && self.hasAsyncId(str)) {
-        self.resolveIds(str, next);
-        return;
-      }
-    } catch (err) {
-      next(formatError(err, helper, args));
-      return;
+    if (typeof arg === 'string' && self.hasAsyncId(arg)) {
+      return resolveValue(self, arg, helper).then(function(val) {
+        helper.args[i] = val;
+      });
     }
 
-    if (!helper.fn.async) {
-      next(null, str);
-      return;
+    if (isObject(arg) && isObject(arg.hash)) {
+      return resolveHash(self, arg.hash, helper).then(function(hash) {
+        arg.hash = hash;
+      });
     }
+  });
 
-    // do nothing
-  };
+  return settleAll(pending).then(function() {
+    return helper.args;
+  }, function(err) {
+    throw addParent(err, helper);
+  });
 };
 
 /**
- * Generator function for resolving helper arguments
- * that contain async ids. This function should be used
- * with [co][].
+ * Resolve values on an object that contain async ids. Values are
+ * resolved concurrently. When more than one value fails, the
+ * error from the first key is used.
  *
- * This is used inside `resolveId`:
+ * This is used inside `resolveArgs`:
  *
  * ```js
- * var args = yield co(asyncHelpers.resolveArgs(helper));
+ * asyncHelpers.resolveObject(options.hash)
+ *   .then(function(hash) {
+ *     return Object.assign({}, options, {hash: hash});
+ *   });
  * ```
- * @param {Object} `helper` helper object with an `argRefs` array.
+ * @param {Object} `obj` object with with values that may be async ids.
+ * @return {Promise} Promise that resolves to the object with resolved values.
  */
 
-AsyncHelpers.prototype.resolveArgs = function * (helper) {
-  for (var i = 0; i < helper.args.length; i++) {
-    var arg = helper.args[i];
-    if (!arg) continue;
-
-    if (typeof arg === 'string' && this.hasAsyncId(arg)) {
-      helper.args[i] = yield this.resolveId(arg);
-
-    } else if (isObject(arg) && isObject(arg.hash)) {
-      arg.hash = yield this.resolveObject(arg.hash);
-    }
-  }
-  return helper.args;
+AsyncHelpers.prototype.resolveObject = function(obj) {
+  return resolveHash(this, obj);
 };
 
 /**
- * Generator function for resolving values on an object
- * that contain async ids. This function should be used
- * with [co][].
+ * After rendering a string using wrapped async helpers,
+ * use `resolve` to invoke the original async helpers and replace
+ * the async ids with results from the async helpers. Independent
+ * ids are resolved concurrently. When more than one helper fails,
+ * the error from the id that appears first in `str` is used. Ids that
+ * weren't created by this instance are left as is.
  *
- * This is used inside `resolveArgs`:
+ * Pass an `AbortSignal` as `options.signal` to stop resolving, e.g. when
+ * the client disconnects. Helpers that haven't started are not called,
+ * and the promise is rejected with an `AbortError`. Helpers that set
+ * `fn.signal = true` get the signal as `this.signal` (and `options.signal`
+ * for Handlebars helpers). Helpers called with a string, number or other
+ * primitive as `this` only get `options.signal`.
  *
  * ```js
- * var args = yield co(asyncHelpers.resolveObject(options.hash));
+ * asyncHelpers.resolve(renderedString)
+ *   .then(function(content) {
+ *     console.log(content);
+ *   });
  * ```
- * @param {Object} `obj` object with with values that may be async ids.
- * @returns {Object} Object with resolved values.
+ * @param  {String} `str` String containing async ids
+ * @param  {Object} `options`
+ *   @option {AbortSignal} `signal` Signal used to stop resolving
+ * @return {Promise} Promise that resolves to the fully resolved string.
+ * @api public
  */
 
-AsyncHelpers.prototype.resolveObject = function * (obj) {
-  var keys = Object.keys(obj);
-  var self = this;
+AsyncHelpers.prototype.resolve = function(str, options) {
+  if (typeof str !== 'string') {
+    return Promise.reject(new TypeError('AsyncHelpers#resolve() expects a string.'));
+  }
+
+  var signal = getSignal(options);
+  if (signal && signal.aborted) {
+    return Promise.reject(new AbortError(signal));
+  }
 
-  return yield keys.reduce(function(acc, key) {
-    return co(function * () {
-      var val = acc[key];
-      if (typeof val === 'string' && self.hasAsyncId(val)) {
-        acc[key] = yield self.resolveId(val);
+  var self = this;
+  var root = createRoot(signal);
+  var end = resolveEvents(this, str);
+  var promise = resolveString(this, str, root);
+
+  if (this.options.aggregate === true) {
+    promise = promise.then(function(res) {
+      var errors = collectErrors(root);
+      if (errors.length > 0) {
+        throw aggregateError(errors, res);
       }
-      return acc;
+      return res;
     });
-  }, obj);
+  }
+
+  if (signal) {
+    promise = abortable(promise, signal);
+  }
+
+  promise = promise.then(function(res) {
+    end(null, res);
+    return res;
+  }, function(err) {
+    end(err);
+    throw err;
+  });
+
+  if (!this.isSession) {
+    return promise;
+  }
+
+  return promise.then(function(res) {
+    sweep(self);
+    return res;
+  }, function(err) {
+    sweep(self);
+    throw err;
+  });
 };
 
 /**
- * After rendering a string using wrapped async helpers,
- * use `resolveIds` to invoke the original async helpers and replace
- * the async ids with results from the async helpers.
+ * Callback or promise based version of `resolve`. When `cb`
+ * is not passed, a promise is returned.
  *
  * ```js
  * asyncHelpers.resolveIds(renderedString, function(err, content) {
@@ -416,40 +784,211 @@ AsyncHelpers.prototype.resolveObject = function * (obj) {
  * });
  * ```
  * @param  {String} `str` String containing async ids
- * @param  {Function} `cb` Callback function accepting an `err` and `content` parameters.
+ * @param  {Object} `options` Optional options, see `resolve`
+ * @param  {Function} `cb` Optional callback function accepting an `err` and `content` parameters.
+ * @return {Promise|undefined} Promise when `cb` is not passed.
  * @api public
  */
 
-AsyncHelpers.prototype.resolveIds = function(str, cb) {
+AsyncHelpers.prototype.resolveIds = function(str, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+
+  var promise = this.resolve(str, options);
   if (typeof cb !== 'function') {
-    throw new TypeError('AsyncHelpers#resolveIds() expects a callback function.');
+    return promise;
   }
+
+  promise.then(function(res) {
+    cb(null, res);
+  }, cb);
+};
+
+/**
+ * Returns an async iterator that yields the literal text and the
+ * resolved values from `str`, in order. All of the ids are resolved
+ * concurrently, and each value is yielded as soon as it, and
+ * everything before it, is ready.
+ *
+ * ```js
+ * var iterator = asyncHelpers.iterate(renderedString);
+ * for await (const chunk of iterator) {
+ *   res.write(chunk);
+ * }
+ * ```
+ * @param  {String} `str` String containing async ids
+ * @param  {Object} `options` Optional options, see `resolve`
+ * @return {Object} Async iterator with `next` and `return` methods.
+ * @api public
+ */
+
+AsyncHelpers.prototype.iterate = function(str, options) {
   if (typeof str !== 'string') {
-    return cb(new TypeError('AsyncHelpers#resolveIds() expects a string.'));
+    throw new TypeError('AsyncHelpers#iterate() expects a string.');
   }
 
-  var matches = this.matches(str);
   var self = this;
+  var index = 0;
+  var finished = false;
+  var output = '';
+  var signal = getSignal(options);
+  var root = createRoot(signal);
+  var end = resolveEvents(this, str);
+
+  var segments = tokenize(this, str).map(function(segment) {
+    if (segment.type === 'id') {
+      addChild(root, self.stash[segment.id]);
+      segment.promise = self.resolveId(segment.id);
+      // errors are handled when the segment is reached
+      segment.promise.catch(noop);
+    }
+    return segment;
+  });
+
+  var finish = function(err) {
+    if (finished) return;
+    finished = true;
+    if (self.isSession) {
+      sweep(self);
+    }
+    end(err || null, output);
+  };
+
+  var iterator = {
+    next: function() {
+      var err;
+      if (!finished && signal && signal.aborted) {
+        err = new AbortError(signal);
+        finish(err);
+        return Promise.reject(err);
+      }
+
+      if (finished || index >= segments.length) {
+        var errors = finished ? [] : collectErrors(root);
+        if (self.options.aggregate === true && errors.length > 0) {
+          err = aggregateError(errors, output);
+          finish(err);
+          return Promise.reject(err);
+        }
+        finish();
+        return Promise.resolve({value: undefined, done: true});
+      }
+
+      var segment = segments[index++];
+      if (segment.type === 'text') {
+        output += segment.value;
+        return Promise.resolve({value: segment.value, done: false});
+      }
 
-  co(function * () {
-    if (!matches) {
-      return str;
+      var promise = signal ? abortable(segment.promise, signal) : segment.promise;
+      return promise.then(function(val) {
+        var value = format(val, segment.escape);
+        output += value;
+        return {value: value, done: false};
+      }, function(err) {
+        finish(err);
+        throw err;
+      });
+    },
+    return: function() {
+      finish();
+      return Promise.resolve({value: undefined, done: true});
+    }
+  };
+
+  if (typeof Symbol.asyncIterator === 'symbol') {
+    iterator[Symbol.asyncIterator] = function() {
+      return iterator;
     };
+  }
+  return iterator;
+};
+
+/**
+ * Returns a readable stream of the literal text and the resolved
+ * values from `str`. See `iterate` for details.
+ *
+ * ```js
+ * asyncHelpers.stream(renderedString).pipe(res);
+ * ```
+ * @param  {String} `str` String containing async ids
+ * @param  {Object} `options` Optional options, see `resolve`
+ * @return {Stream} Readable stream
+ * @api public
+ */
+
+AsyncHelpers.prototype.stream = function(str, options) {
+  var iterator = this.iterate(str, options);
+  var signal = getSignal(options);
 
-    for (var i = 0; i < matches.length; i++) {
-      var key = matches[i];
-      var val = yield self.resolveId(key);
-      str = str.split(key).join(val);
+  var stream = new Readable({
+    read: function() {
+      next();
     }
-    return str;
-  })
-  .then((res) => cb(null, res))
-  .catch(cb);
+  });
+
+  function next() {
+    iterator.next().then(function(res) {
+      if (res.done) {
+        stream.push(null);
+        return;
+      }
+      // pushing an empty string doesn't trigger another read
+      if (res.value === '') {
+        next();
+        return;
+      }
+      stream.push(res.value);
+    }, function(err) {
+      stream.emit('error', err);
+    });
+  }
+
+  // the stream may not be reading when the signal is aborted
+  if (signal && !signal.aborted) {
+    var onAbort = function() {
+      iterator.return();
+      stream.destroy(new AbortError(signal));
+    };
+    signal.addEventListener('abort', onAbort, {once: true});
+    stream.on('close', function() {
+      signal.removeEventListener('abort', onAbort);
+    });
+  }
+
+  return stream;
+};
+
+/**
+ * Enable async partials for the given Handlebars environment. Partial
+ * names may be returned by async helpers (`{{> (name) }}`), and partials
+ * that aren't registered are loaded with `options.load`. The rendered
+ * partials are resolved along with the other async ids.
+ *
+ * ```js
+ * asyncHelpers.partials(Handlebars, {
+ *   load: function(name) {
+ *     return readFile('partials/' + name + '.hbs', 'utf8');
+ *   }
+ * });
+ * ```
+ * @param  {Object} `hbs` Handlebars environment
+ * @param  {Object} `options`
+ * @return {Object} Returns `hbs`
+ * @api public
+ */
+
+AsyncHelpers.prototype.partials = function(hbs, options) {
+  return handlebars.partials(this, hbs, options);
 };
 
 /**
- * Format an error message to provide better information about the
- * helper and the arguments passed to the helper when the error occurred.
+ * Create an `AsyncHelperError` with information about the helper and
+ * the arguments passed to the helper when the error occurred. Errors
+ * from other helpers, e.g. helpers in the block of an async block
+ * helper, get `helper` added to their chain instead.
  *
  * @param  {Object} `err` Error object
  * @param  {Object} `helper` helper object to provide more information
@@ -458,17 +997,1206 @@ AsyncHelpers.prototype.resolveIds = function(str, cb) {
  */
 
 function formatError(err, helper, args) {
+  if (err instanceof AsyncHelperError && err.id !== null) {
+    return err.id === helper.id ? err : addParent(err, helper);
+  }
+  if (!(err instanceof AsyncHelperError)) {
+    err = new AsyncHelperError(err.message, err);
+  }
+
   err.helper = helper;
+  err.helperName = helper.name;
+  err.id = helper.id;
   define(err, 'args', args);
+
+  // handlebars passes the position of the helper in the template
+  var options = args[args.length - 1];
+  var loc = isObject(options) && isObject(options.loc) ? options.loc : null;
+  if (loc && loc.start) {
+    err.loc = {line: loc.start.line, column: loc.start.column};
+    err.template = loc.source || null;
+  }
   return err;
 }
 
 /**
- * Create a prefix to use when generating an async id.
+ * Returns a copy of `err` with the id of `helper`, which was waiting
+ * for the failed helper, added to the start of the chain. Errors may be
+ * shared by several helpers, so they are copied instead of modified.
  *
- * @param  {String} `prefix` prefix string to start with.
- * @param  {String} `counter` string to append.
- * @return {String} new prefix
+ * @param  {Object} `err` Error object
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @return {Object}
+ */
+
+function addParent(err, helper) {
+  if (!(err instanceof AsyncHelperError) || err.id === null) {
+    return err;
+  }
+
+  var res = Object.create(Object.getPrototypeOf(err));
+  Object.getOwnPropertyNames(err).forEach(function(key) {
+    Object.defineProperty(res, key, Object.getOwnPropertyDescriptor(err, key));
+  });
+  res.chain = [helper.id].concat(err.chain);
+  return res;
+}
+
+/**
+ * Replace the async ids in `str` with the results of their helpers.
+ * The string is split into segments once, and each id is replaced
+ * exactly once, so resolved values are never searched for ids.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {String} `str` String containing async ids
+ * @param  {Object} `parent` Optional token (or other object) that is waiting for the ids
+ * @return {Promise}
+ */
+
+function resolveString(self, str, parent) {
+  var segments = tokenize(self, str);
+  var keys = unique(segments
+    .filter(function(segment) {
+      return segment.type === 'id';
+    })
+    .map(function(segment) {
+      return segment.id;
+    }));
+
+  if (keys.length === 0) {
+    return Promise.resolve(str);
+  }
+
+  var pending = keys.map(function(key) {
+    addChild(parent, self.stash[key]);
+    return self.resolveId(key);
+  });
+
+  return settleAll(pending).then(function(vals) {
+    var values = {};
+    for (var i = 0; i < keys.length; i++) {
+      values[keys[i]] = vals[i];
+    }
+
+    var res = '';
+    for (var j = 0; j < segments.length; j++) {
+      var segment = segments[j];
+      res += segment.type === 'id'
+        ? format(values[segment.id], segment.escape)
+        : segment.value;
+    }
+    return res;
+  });
+}
+
+/**
+ * Resolve a helper argument or hash value. Values that are an async id
+ * resolve to the helper's result, other strings have the ids they
+ * contain replaced.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {String} `str` String containing async ids
+ * @return {Promise}
+ */
+
+function resolveValue(self, str, parent) {
+  if (self.stash.hasOwnProperty(str)) {
+    addChild(parent, self.stash[str]);
+    return self.resolveId(str);
+  }
+  return resolveString(self, str, parent);
+}
+
+/**
+ * Resolve the values of `obj` that contain async ids.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {Object} `obj` Object with values that may be async ids
+ * @param  {Object} `parent` Optional token that is waiting for the ids
+ * @return {Promise}
+ */
+
+function resolveHash(self, obj, parent) {
+  var pending = Object.keys(obj).map(function(key) {
+    var val = obj[key];
+    if (typeof val === 'string' && self.hasAsyncId(val)) {
+      return resolveValue(self, val, parent).then(function(res) {
+        obj[key] = res;
+      });
+    }
+  });
+
+  return settleAll(pending).then(function() {
+    return obj;
+  });
+}
+
+/**
+ * Keep track of the tokens `parent` is waiting for, so the errors
+ * of all of the tokens can be collected in `aggregate` mode. Tokens
+ * get the `AbortSignal` of the first parent that has one.
+ */
+
+function addChild(parent, token) {
+  if (!parent || !token) return;
+  if (!parent.children) {
+    define(parent, 'children', []);
+  }
+  parent.children.push(token);
+  if (parent.signal && !token.signal) {
+    define(token, 'signal', parent.signal);
+  }
+}
+
+/**
+ * Emit `event` on `self` and, for sessions, on the instances
+ * (or sessions) the session was created from.
+ *
+ * @param  {Object} `self` AsyncHelpers instance or session
+ * @param  {String} `name` Event name
+ * @param  {Object} `event` Event object passed to listeners
+ */
+
+function emit(self, name, event) {
+  var target = self;
+  while (target instanceof AsyncHelpers) {
+    if (target.listenerCount(name) > 0) {
+      target.emit(name, event);
+    }
+    if (target.isSession !== true) break;
+    target = Object.getPrototypeOf(target);
+  }
+}
+
+/**
+ * Emit `resolve:start` for `input`, and return a function that emits
+ * `resolve:end` with the error or output when resolving is done.
+ */
+
+function resolveEvents(self, input) {
+  var start = Date.now();
+  emit(self, 'resolve:start', {input: input});
+
+  return function(err, output) {
+    var event = {input: input, duration: Date.now() - start};
+    if (err) {
+      event.error = err;
+    } else {
+      event.output = output;
+    }
+    emit(self, 'resolve:end', event);
+  };
+}
+
+/**
+ * Create the object that tokens found in a resolved string are
+ * added to as children.
+ */
+
+function createRoot(signal) {
+  var root = {};
+  if (signal) {
+    define(root, 'signal', signal);
+  }
+  return root;
+}
+
+/**
+ * Get the `AbortSignal` passed in `options`
+ */
+
+function getSignal(options) {
+  var signal = isObject(options) ? options.signal : null;
+  if (signal && typeof signal.addEventListener !== 'function') {
+    throw new TypeError('AsyncHelpers: expected `options.signal` to be an AbortSignal');
+  }
+  return signal || null;
+}
+
+/**
+ * Returns true if the signal of `helper` was aborted
+ */
+
+function isAborted(helper) {
+  return !!helper.signal && helper.signal.aborted === true;
+}
+
+/**
+ * Returns a promise that rejects with an `AbortError` as soon as
+ * `signal` is aborted, or settles like `promise`.
+ */
+
+function abortable(promise, signal) {
+  return new Promise(function(resolve, reject) {
+    var onAbort = function() {
+      reject(new AbortError(signal));
+    };
+
+    signal.addEventListener('abort', onAbort, {once: true});
+    promise.then(function(val) {
+      signal.removeEventListener('abort', onAbort);
+      resolve(val);
+    }, function(err) {
+      signal.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Give a helper that opted in with `fn.signal` the signal as
+ * `this.signal`, and as `options.signal` when the last argument
+ * is a Handlebars options object. Primitive contexts, like the
+ * items of `{{#each}}` over strings, are passed as is.
+ *
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `params` arguments passed to the helper, updated in place
+ * @return {Object} the context to call the helper with
+ */
+
+function withSignal(helper, params) {
+  for (var i = params.length - 1; i >= 0; i--) {
+    if (typeof params[i] === 'function') continue;
+    if (isObject(params[i]) && isObject(params[i].hash)) {
+      params[i] = Object.assign({}, params[i], {signal: helper.signal});
+    }
+    break;
+  }
+
+  var ctx = helper.context;
+  if (ctx !== null && typeof ctx !== 'undefined' && typeof ctx !== 'object') {
+    return ctx;
+  }
+
+  // helpers called without `this` get an object with only the signal
+  var context = Object.create(ctx || null);
+  context.signal = helper.signal;
+  return context;
+}
+
+/**
+ * Returns the errors of the failed tokens that `root` waited for,
+ * directly or through other tokens, in the order they were reached.
+ * The tokens that waited for a failed token are added to the chain
+ * of its error, the same way as when the error is not recovered.
+ */
+
+function collectErrors(root) {
+  var seen = new Set();
+  var errors = [];
+
+  (function visit(token, parents) {
+    if (seen.has(token)) return;
+    seen.add(token);
+    if (token.error) {
+      errors.push(parents.reduceRight(addParent, token.error));
+    }
+    if (token.id) {
+      parents = parents.concat(token);
+    }
+    (token.children || []).forEach(function(child) {
+      visit(child, parents);
+    });
+  })(root, []);
+
+  return errors;
+}
+
+/**
+ * Returns an `AggregateError` with all of the `errors` and the
+ * resolved `output`, or an `Error` with the same properties on
+ * platforms without `AggregateError`.
+ */
+
+function aggregateError(errors, output) {
+  var msg = 'AsyncHelpers#resolve: ' + errors.length + ' helper' + (errors.length === 1 ? '' : 's') + ' failed';
+  var Ctor = global.AggregateError;
+  var err = typeof Ctor === 'function' ? new Ctor(errors, msg) : new Error(msg);
+  if (!err.errors) {
+    err.errors = errors;
+  }
+  err.code = 'ERR_AGGREGATE';
+  err.output = output;
+  return err;
+}
+
+/**
+ * Handle the error of a failed token. When the helper has `fn.onError`,
+ * the value it returns (or throws) is used instead of the error.
+ * Otherwise the `fallback` option is used as the output, and in
+ * `aggregate` mode the error is recorded on the token.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Error} `err`
+ * @return {Promise}
+ */
+
+function recover(self, helper, err) {
+  var onError = helper.fn.onError;
+  var fallback = self.options.fallback;
+  var aggregate = self.options.aggregate === true;
+
+  if (typeof onError !== 'function' && typeof fallback === 'undefined' && !aggregate) {
+    return Promise.reject(err);
+  }
+
+  return new Promise(function(resolve) {
+    if (typeof onError === 'function') {
+      resolve(onError.call(helper.context, err));
+      return;
+    }
+    if (aggregate) {
+      define(helper, 'error', err);
+    }
+    resolve(typeof fallback === 'function' ? fallback(err) : fallback);
+  })
+    .then(function(val) {
+      return typeof val !== 'undefined' ? val : '';
+    });
+}
+
+/**
+ * Split `str` into literal `text` segments and `id` segments.
+ * Empty text segments are not included. Ids that weren't created
+ * by this instance (or session) are kept as text and reported
+ * with an `ERR_UNKNOWN_ID` warning. With the `escape` option, `id`
+ * segments have the escaping that was applied to the id.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {String} `str` String containing async ids
+ * @return {Array} Array of `{type: 'text', value}` and `{type: 'id', id, escape}` objects
+ */
+
+function tokenize(self, str) {
+  var regex = new RegExp(self.prefixRegex.source, 'g');
+  var segments = [];
+  var last = 0;
+  var match;
+
+  var text = function(value) {
+    var prev = segments[segments.length - 1];
+    if (prev && prev.type === 'text') {
+      prev.value += value;
+    } else {
+      segments.push({type: 'text', value: value});
+    }
+  };
+
+  while ((match = regex.exec(str))) {
+    if (match.index > last) {
+      text(str.slice(last, match.index));
+    }
+
+    var parsed = parseId(self, match[0]);
+    if (self.stash.hasOwnProperty(parsed.id)) {
+      segments.push({type: 'id', id: parsed.id, escape: parsed.escape});
+    } else {
+      warn(self, unknownIdError(match[0]));
+      text(match[0]);
+    }
+    last = match.index + match[0].length;
+  }
+
+  if (last < str.length) {
+    text(str.slice(last));
+  }
+  return segments;
+}
+
+/**
+ * Get the id that was created by `wrapper` from an id found in a string,
+ * and the escaping that was applied to it by the template engine.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {String} `str` id matched by `prefixRegex`
+ * @return {Object} Object with `id` and `escape` (`html`, `url` or `null`) properties
+ */
+
+function parseId(self, str) {
+  if (self.options.escape) {
+    if (str.slice(-6) === '&amp;}') {
+      return {id: str.slice(0, -6) + '&}', escape: 'html'};
+    }
+    if (str.slice(-3) === '%7D') {
+      return {id: decodeURIComponent(str), escape: 'url'};
+    }
+  }
+  return {id: str, escape: null};
+}
+
+/**
+ * Convert a resolved value to a string, applying the escaping
+ * that was applied to its id.
+ *
+ * @param  {any} `val` resolved value
+ * @param  {String} `escape` `html`, `url` or `null`
+ * @return {String}
+ */
+
+function format(val, escape) {
+  switch (escape) {
+    case 'html':
+      // don't escape "safe" strings, like Handlebars' SafeString
+      if (val && typeof val.toHTML === 'function') {
+        return val.toHTML();
+      }
+      return escapeHtml(String(val));
+    case 'url':
+      return encodeURIComponent(String(val));
+    default: {
+      return String(val);
+    }
+  }
+}
+
+/**
+ * Create an error for an id that wasn't created by this instance.
+ *
+ * @param  {String} `id`
+ * @return {Error}
+ */
+
+function unknownIdError(id) {
+  var err = new Error('AsyncHelpers: ignoring unknown async id: "' + id + '"');
+  err.code = 'ERR_UNKNOWN_ID';
+  err.id = id;
+  return err;
+}
+
+/**
+ * Remove the tokens that have been resolved from the stash.
+ *
+ * @param  {Object} `self` AsyncHelpers instance or session
+ */
+
+function sweep(self) {
+  var keys = Object.keys(self.stash);
+  for (var i = 0; i < keys.length; i++) {
+    if (self.stash[keys[i]].settled === true) {
+      delete self.stash[keys[i]];
+    }
+  }
+}
+
+/**
+ * Invoke the helper stored on a token with the resolved `args`.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `args` resolved arguments to pass to the helper
+ * @return {Promise}
+ */
+
+function invoke(self, helper, args) {
+  args = wrapBlocks(self, helper, args);
+
+  var task = function() {
+    // helpers waiting for the limiter are not called after an abort
+    if (isAborted(helper)) {
+      return Promise.reject(new AbortError(helper.signal));
+    }
+
+    var start = Date.now();
+    emit(self, 'helper:start', {name: helper.name, id: helper.id, args: args});
+
+    return timeout(self, helper, args, call(self, helper, args))
+      .then(function(result) {
+        var duration = Date.now() - start;
+        emit(self, 'helper:end', {name: helper.name, id: helper.id, args: args, result: result, duration: duration});
+        return result;
+      }, function(err) {
+        var duration = Date.now() - start;
+        emit(self, 'helper:error', {name: helper.name, id: helper.id, args: args, error: err, duration: duration});
+        throw err;
+      });
+  };
+
+  return retry(helper, function() {
+    return schedule(self, helper, task);
+  })
+    .then(function(result) {
+      if (typeof result === 'string' && self.hasAsyncId(result)) {
+        return resolveString(self, result, helper).catch(function(err) {
+          throw addParent(err, helper);
+        });
+      }
+      return result;
+    })
+    .then(function(val) {
+      return typeof val !== 'undefined' ? val : '';
+    });
+}
+
+/**
+ * Call `fn` again when it fails, using the helper's `fn.retry`
+ * settings. `fn.retry` is the number of attempts, or an object with:
+ *
+ * - `attempts`: total number of attempts, including the first one
+ * - `backoff`: milliseconds to wait before the first retry, defaults to `0`
+ * - `factor`: multiplier for the wait before each following retry, defaults to `2`
+ * - `retryable`: function called with the error and the attempt number,
+ *   that returns `false` when the helper should not be called again
+ *
+ * The errors of the earlier attempts are added to the final error as
+ * `err.attempts`, so the final error isn't part of its own `attempts`.
+ *
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Function} `fn` function that returns a promise for one attempt
+ * @return {Promise}
+ */
+
+function retry(helper, fn) {
+  var opts = retryOptions(helper.fn.retry);
+  if (opts === null) {
+    return fn();
+  }
+
+  var errors = [];
+  var attempt = function(n) {
+    return fn().catch(function(err) {
+      errors.push(err);
+      if (n >= opts.attempts || isAborted(helper) || (opts.retryable && opts.retryable(err, n) === false)) {
+        err.attempts = errors.slice(0, -1);
+        throw err;
+      }
+
+      var ms = opts.backoff * Math.pow(opts.factor, n - 1);
+      return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+      }).then(function() {
+        return attempt(n + 1);
+      });
+    });
+  };
+
+  return attempt(1);
+}
+
+/**
+ * Normalize the `fn.retry` settings of a helper. Returns `null`
+ * when the helper should only be called once.
+ */
+
+function retryOptions(retry) {
+  var opts = typeof retry === 'number' ? {attempts: retry} : retry;
+  if (!isObject(opts) || !isFinitePositive(opts.attempts) || opts.attempts < 2) {
+    return null;
+  }
+
+  return {
+    attempts: Math.floor(opts.attempts),
+    backoff: isFinitePositive(opts.backoff) ? opts.backoff : 0,
+    factor: isFinitePositive(opts.factor) ? opts.factor : 2,
+    retryable: typeof opts.retryable === 'function' ? opts.retryable : null
+  };
+}
+
+/**
+ * Share the result of `fn` between tokens that call the same helper
+ * with the same arguments, when memoization is enabled with the
+ * `memoize` option or `fn.memoize` on the helper. Failed results are
+ * not memoized.
+ *
+ * @param  {Object} `self` AsyncHelpers instance or session
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `args` resolved arguments to pass to the helper
+ * @param  {Function} `fn` function that invokes the helper
+ * @return {Promise}
+ */
+
+function memoize(self, helper, args, fn) {
+  var opts = typeof helper.fn.memoize !== 'undefined'
+    ? helper.fn.memoize
+    : self.options.memoize;
+
+  if (!opts) {
+    return fn();
+  }
+
+  var key = cacheKey(helper, args);
+  if (key === null) {
+    return fn();
+  }
+
+  var entry = self.memo.get(key);
+  if (entry) {
+    self.memo.delete(key);
+    if (entry.expires === null || entry.expires > Date.now()) {
+      // keep the most recently used results at the end
+      self.memo.set(key, entry);
+      return entry.promise;
+    }
+  }
+
+  var ttl = isObject(opts) ? opts.ttl : null;
+  var max = isObject(opts) && isFinitePositive(opts.max) ? opts.max : 1000;
+  entry = {
+    promise: fn(),
+    expires: isFinitePositive(ttl) ? Date.now() + ttl : null
+  };
+
+  self.memo.set(key, entry);
+  evict(self.memo, max);
+  entry.promise.catch(function() {
+    if (self.memo.get(key) === entry) {
+      self.memo.delete(key);
+    }
+  });
+  return entry.promise;
+}
+
+/**
+ * Remove expired results from `memo`, and the least recently used
+ * results when there are more than `max`.
+ *
+ * @param  {Map} `memo` memoized results
+ * @param  {Number} `max` maximum number of results to keep
+ */
+
+function evict(memo, max) {
+  var now = Date.now();
+  memo.forEach(function(entry, key) {
+    if (entry.expires !== null && entry.expires <= now) {
+      memo.delete(key);
+    }
+  });
+
+  var keys = memo.keys();
+  while (memo.size > max) {
+    memo.delete(keys.next().value);
+  }
+}
+
+/**
+ * Use the result from `options.store` for helpers marked with
+ * `fn.cacheable` (`true` or `{ttl: ms}`), or store the result of `fn`
+ * when the store doesn't have one. Errors from the store are passed
+ * to `warn` and don't fail the helper. Only results that can be stored
+ * as JSON are stored: strings, numbers, booleans, `null`, and arrays
+ * and plain objects of those. Other results, like Handlebars'
+ * `SafeString`, would come back as a different value.
+ *
+ * @param  {Object} `self` AsyncHelpers instance or session
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `args` resolved arguments to pass to the helper
+ * @param  {Function} `fn` function that invokes the helper
+ * @return {Promise}
+ */
+
+function cached(self, helper, args, fn) {
+  var store = self.options.store;
+  var opts = helper.fn.cacheable;
+  if (!store || !opts) {
+    return fn();
+  }
+
+  var key = cacheKey(helper, args);
+  if (key === null) {
+    return fn();
+  }
+
+  var ttl = isObject(opts) ? opts.ttl : undefined;
+  var onError = function(err) {
+    warn(self, err);
+  };
+
+  return Promise.resolve()
+    .then(function() {
+      return store.get(key);
+    })
+    .then(null, onError)
+    .then(function(val) {
+      if (typeof val !== 'undefined') {
+        return val;
+      }
+
+      return fn().then(function(res) {
+        if (!isSerializable(res)) {
+          return res;
+        }
+
+        return Promise.resolve()
+          .then(function() {
+            return store.set(key, res, ttl);
+          })
+          .then(null, onError)
+          .then(function() {
+            return res;
+          });
+      });
+    });
+}
+
+/**
+ * Returns true if `val` is the same value after a round trip
+ * through `JSON.stringify` and `JSON.parse`.
+ */
+
+function isSerializable(val, seen) {
+  if (val === null || typeof val === 'string' || typeof val === 'boolean') {
+    return true;
+  }
+  if (typeof val === 'number') {
+    return isFinite(val);
+  }
+  if (typeof val !== 'object') {
+    return false;
+  }
+
+  var proto = Object.getPrototypeOf(val);
+  if (!Array.isArray(val) && proto !== Object.prototype && proto !== null) {
+    return false;
+  }
+
+  seen = seen || [];
+  if (seen.indexOf(val) !== -1) {
+    return false;
+  }
+  seen.push(val);
+
+  var ok = Object.keys(val).every(function(key) {
+    return isSerializable(val[key], seen);
+  });
+  seen.pop();
+  return ok;
+}
+
+/**
+ * Create a key from the helper name and resolved arguments. Only the
+ * `hash` is used from Handlebars `options` objects. Returns `null` when
+ * the call can't be identified by its arguments, e.g. when a function
+ * is passed, for block helpers, and for helpers called with a context
+ * other than the root context, e.g. inside `{{#each}}`.
+ *
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `args` resolved arguments
+ * @return {String|null}
+ */
+
+function cacheKey(helper, args) {
+  if (!helper.name) {
+    return null;
+  }
+
+  var options = args[args.length - 1];
+  var isOptions = isObject(options) && isObject(options.hash);
+  if (isOptions && (typeof options.fn === 'function' || typeof options.inverse === 'function')) {
+    return null;
+  }
+
+  var ctx = helper.context;
+  if (ctx !== null && typeof ctx === 'object' && ctx !== global) {
+    var root = isOptions && isObject(options.data) ? options.data.root : undefined;
+    if (ctx !== root) {
+      return null;
+    }
+  }
+
+  var seen = [];
+  var isFunction = false;
+  var values = args.map(function(arg) {
+    return isObject(arg) && isObject(arg.hash) ? {hash: arg.hash} : arg;
+  });
+
+  var str = JSON.stringify(values, function(key, val) {
+    if (typeof val === 'function') {
+      isFunction = true;
+      return;
+    }
+    if (val && typeof val === 'object') {
+      if (seen.indexOf(val) !== -1) {
+        return '[Circular]';
+      }
+      seen.push(val);
+    }
+    return val;
+  });
+
+  return isFunction ? null : helper.name + ':' + str;
+}
+
+/**
+ * Give async block helpers `options.fn` and `options.inverse` functions
+ * that resolve the async ids in the rendered block. The functions call
+ * back with the resolved block when the last argument is a callback.
+ * Otherwise, for helpers defined as `async function` or that set
+ * `fn.block = true`, they return a promise. Use `fn.block = true` for
+ * transpiled async functions and other helpers that return a promise.
+ * Other helpers get the rendered block as is.
+ *
+ * ```js
+ * asyncHelpers.set('trim', async function(options) {
+ *   var str = await options.fn(this);
+ *   return str.trim();
+ * });
+ *
+ * function shout(options) {
+ *   return options.fn(this).then(function(str) {
+ *     return str.toUpperCase();
+ *   });
+ * }
+ * shout.block = true;
+ * asyncHelpers.set('shout', shout);
+ * ```
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `args` resolved arguments to pass to the helper
+ * @return {Array} arguments with a copy of the options object
+ */
+
+function wrapBlocks(self, helper, args) {
+  var idx = args.length - 1;
+  var options = args[idx];
+  if (!isObject(options) || typeof options.fn !== 'function') {
+    return args;
+  }
+
+  var promise = helper.fn.block === true || isAsyncFunction(helper.fn);
+  var wait = releaseSlots(helper);
+  var block = function(render) {
+    if (typeof render !== 'function') {
+      return render;
+    }
+
+    return function() {
+      var params = [].slice.call(arguments);
+      var cb = typeof params[params.length - 1] === 'function' ? params.pop() : null;
+
+      // the helper gets the rendered block as is, and doesn't wait for it
+      if (!cb && !promise) {
+        return render.apply(this, params);
+      }
+
+      var str = render.apply(this, params);
+      var res = wait(typeof str === 'string' ? resolveString(self, str, helper) : Promise.resolve(str));
+      if (!cb) {
+        return res;
+      }
+
+      res.then(function(val) {
+        cb(null, val);
+      }, cb);
+    };
+  };
+
+  var copy = Object.assign({}, options, {
+    fn: block(options.fn),
+    inverse: block(options.inverse)
+  });
+
+  args = args.slice();
+  args[idx] = copy;
+  return args;
+}
+
+/**
+ * Returns a function that releases the limiter slots held by `helper`
+ * while it waits for the resolved blocks, so the helpers in the blocks
+ * can run, and takes the slots again before the helper continues.
+ *
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @return {Function} function that takes the promise for a resolved block
+ */
+
+function releaseSlots(helper) {
+  var pending = 0;
+  var current = 0;
+  var waiting = [];
+
+  function resume(n) {
+    return (helper.slots || []).reduce(function(acc, slot) {
+      return acc.then(function() {
+        // a block that started in the meantime released the slots again
+        if (n === current) return slot.resume();
+      });
+    }, Promise.resolve())
+      .then(function() {
+        if (n === current) {
+          waiting.splice(0).forEach(function(resolve) {
+            resolve();
+          });
+        }
+      });
+  }
+
+  function settle() {
+    return new Promise(function(resolve) {
+      waiting.push(resolve);
+      if (--pending === 0) {
+        resume(current);
+      }
+    });
+  }
+
+  return function(promise) {
+    if (pending++ === 0) {
+      current++;
+      (helper.slots || []).forEach(function(slot) {
+        slot.suspend();
+      });
+    }
+
+    return promise.then(function(val) {
+      return settle().then(function() {
+        return val;
+      });
+    }, function(err) {
+      return settle().then(function() {
+        throw err;
+      });
+    });
+  };
+}
+
+/**
+ * Call the helper function with `args`, passing a callback when
+ * the helper is flagged as `async`. Resolves with the value returned
+ * by the helper, passed to the callback, or resolved by a returned
+ * promise.
+ *
+ * Helpers that call back more than once, or that call back and also
+ * throw or return a result, are reported with an `ERR_MULTIPLE_CALLBACK`
+ * error. When this happens before the helper has settled, the error is
+ * used to reject. Otherwise the error is passed to `options.onWarning`,
+ * or to `process.emitWarning` when no hook is defined. When
+ * `options.onWarning` is defined, the first result is always used.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `args` resolved arguments to pass to the helper
+ * @return {Promise}
+ */
+
+function call(self, helper, args) {
+  return new Promise(function(resolve, reject) {
+    var isAsync = !!helper.fn.async;
+    var params = args.slice();
+    var outcomes = [];
+    var settled = false;
+    var sync = true;
+    // value returned by a flagged helper, reported once it calls back
+    var extra = null;
+
+    // results produced while the helper is still running are collected
+    // so they can be checked before the promise is settled
+    var done = function(type, err, val) {
+      var outcome = {type: type, err: err, val: val};
+      if (settled) {
+        warn(self, multipleCallbackError(helper, outcomes.concat(outcome), args));
+        return;
+      }
+      outcomes.push(outcome);
+      if (extra) {
+        outcomes.push(extra);
+        extra = null;
+      }
+      if (!sync) finish();
+    };
+
+    var finish = function() {
+      var first = outcomes[0];
+      settled = true;
+
+      if (outcomes.length > 1) {
+        var err = multipleCallbackError(helper, outcomes, args);
+        if (typeof self.options.onWarning !== 'function') {
+          reject(err);
+          return;
+        }
+        warn(self, err);
+      }
+
+      if (first.err) {
+        reject(formatError(toError(first.err), helper, args));
+        return;
+      }
+      resolve(first.val);
+    };
+
+    // helpers that return a promise (including `async` functions)
+    // are resolved with the promise, whether or not they're flagged
+    var returned = function(res) {
+      if (isPromise(res)) {
+        res.then(function(result) {
+          if (isAsync && typeof result === 'undefined') return;
+          done('promise', null, result);
+        }, function(err) {
+          done('promise', toError(err));
+        });
+      } else if (!isAsync || (typeof res === 'string' && self.hasAsyncId(res))) {
+        done('return', null, res);
+      } else if (typeof res !== 'undefined') {
+        // flagged helpers call back with their result, so the returned
+        // value is only reported, after the callback it was returned with
+        extra = {type: 'return', err: null, val: res};
+        if (outcomes.length) {
+          outcomes.push(extra);
+          extra = null;
+        }
+      }
+    };
+
+    if (isAsync) {
+      params.push(function(err, result) {
+        done('callback', err, result);
+      });
+    }
+
+    try {
+      var context = helper.context;
+      if (helper.fn.signal === true && helper.signal) {
+        context = withSignal(helper, params);
+      }
+      returned(helper.fn.apply(context, params));
+    } catch (err) {
+      done('throw', err);
+    }
+
+    sync = false;
+    if (outcomes.length) {
+      finish();
+    }
+  });
+}
+
+/**
+ * Create an error for a helper that produced more than one result.
+ *
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `outcomes` the results produced by the helper
+ * @param  {Array} `args` resolved arguments passed to the helper
+ * @return {Error}
+ */
+
+function multipleCallbackError(helper, outcomes, args) {
+  var last = outcomes[outcomes.length - 1];
+  var reason;
+
+  switch (last.type) {
+    case 'callback':
+      reason = outcomes[0].type === 'callback'
+        ? 'called back more than once'
+        : 'called back after returning a result';
+      break;
+    case 'throw':
+      reason = 'threw an error after calling back';
+      break;
+    default: {
+      reason = 'returned a result and called back';
+      break;
+    }
+  }
+
+  var msg = 'AsyncHelpers#resolveId: helper "' + helper.name + '" ' + reason + ': "' + helper.id + '"';
+  var err = new AsyncHelperError(msg);
+  err.code = 'ERR_MULTIPLE_CALLBACK';
+  return formatError(err, helper, args);
+}
+
+/**
+ * Report a problem that can't be used to reject a resolved helper.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {Error} `err`
+ */
+
+function warn(self, err) {
+  if (typeof self.options.onWarning === 'function') {
+    self.options.onWarning(err);
+  } else if (typeof process.emitWarning === 'function') {
+    process.emitWarning(err);
+  }
+}
+
+/**
+ * Reject with a timeout error when `promise` doesn't settle within
+ * the helper's `fn.timeout` or the instance's `timeout` option.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Array} `args` resolved arguments passed to the helper
+ * @param  {Promise} `promise` promise returned by `call`
+ * @return {Promise}
+ */
+
+function timeout(self, helper, args, promise) {
+  var ms = typeof helper.fn.timeout !== 'undefined'
+    ? helper.fn.timeout
+    : self.options.timeout;
+
+  if (!isFinitePositive(ms)) {
+    return promise;
+  }
+
+  return new Promise(function(resolve, reject) {
+    var timer = setTimeout(function() {
+      var err = new AsyncHelperError('AsyncHelpers#resolveId: helper "' + helper.name + '" timed out after ' + ms + 'ms: "' + helper.id + '"');
+      err.code = 'ETIMEDOUT';
+      err.timeout = ms;
+      reject(formatError(err, helper, args));
+    }, ms);
+
+    promise.then(function(val) {
+      clearTimeout(timer);
+      resolve(val);
+    }, function(err) {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Run `task` once the helper's own concurrency limit (`fn.concurrency`)
+ * and the instance's `concurrency` option allow it. Only the helper call
+ * itself counts toward the limits, resolving arguments and async ids
+ * in the result does not. Async block helpers release their slots while
+ * they wait for their blocks, see `releaseSlots`.
+ *
+ * @param  {Object} `self` AsyncHelpers instance
+ * @param  {Object} `helper` helper token created by `wrapper`
+ * @param  {Function} `task` function that returns a promise
+ * @return {Promise}
+ */
+
+function schedule(self, helper, task) {
+  var fn = helper.fn;
+  var slots = [];
+  var run = task;
+
+  // the slots taken by the current attempt, in the order they were taken
+  define(helper, 'slots', slots);
+
+  if (self.limiter) {
+    run = function() {
+      return self.limiter(function(slot) {
+        slots.push(slot);
+        return task();
+      });
+    };
+  }
+
+  if (isFinitePositive(fn.concurrency)) {
+    var limiter = self.limiters.get(fn);
+    if (!limiter || limiter.concurrency !== fn.concurrency) {
+      limiter = createLimiter(fn.concurrency);
+      self.limiters.set(fn, limiter);
+    }
+    return limiter(function(slot) {
+      slots.push(slot);
+      return run();
+    });
+  }
+  return run();
+}
+
+/**
+ * Create a prefix to use when generating an async id.
+ *
+ * @param  {String} `prefix` prefix string to start with.
+ * @param  {String} `counter` string to append.
+ * @return {String} new prefix
  */
 
 function appendPrefix(prefix, counter) {
@@ -480,45 +2208,96 @@ function appendPrefix(prefix, counter) {
  *
  * @param  {String} `prefix` prefix string to start with
  * @param  {String} `counter` string to append.
+ * @param  {String} `marker` optional string to add before the closing brace.
  * @return {String} async id
  */
 
-function createId(prefix, counter) {
-  return appendPrefix(prefix, counter) + '}';
+function createId(prefix, counter, marker) {
+  return appendPrefix(prefix, counter) + (marker || '') + '}';
 }
 
 /**
  * Create a regular expression based on the given `prefix`.
  * @param  {String} `prefix`
+ * @param  {Boolean} `nocache` don't add the regex to the cache
  * @return {RegExp}
  */
 
-function toRegex(prefix) {
+function toRegex(prefix, nocache) {
   var key = appendPrefix(prefix, '(\\d+)');
   if (cache.hasOwnProperty(key)) {
     return cache[key];
   }
-  var regex = new RegExp(createRegexString(key), 'g');
-  cache[key] = regex;
+  var regex = new RegExp(createRegexString(key, nocache), 'g');
+  if (!nocache) cache[key] = regex;
+  return regex;
+}
+
+/**
+ * Create a regular expression for ids created with the `escape` option.
+ * Matches ids as they were created, HTML escaped (the `&` marker becomes
+ * `&amp;`) and URL encoded.
+ *
+ * @param  {String} `prefix`
+ * @param  {Boolean} `nocache` don't add the regex to the cache
+ * @return {RegExp}
+ */
+
+function toEscapeRegex(prefix, nocache) {
+  var key = 'toEscapeRegex:' + prefix;
+  if (cache.hasOwnProperty(key)) {
+    return cache[key];
+  }
+  var raw = escapeRegex(prefix) + '\\d+\\$\\d+\\$&(?:amp;)?\\}';
+  var url = escapeRegex(encodeURIComponent(prefix)) + '\\d+%24\\d+%24%26%7D';
+  var regex = new RegExp(raw + '|' + url, 'g');
+  if (!nocache) cache[key] = regex;
   return regex;
 }
 
+/**
+ * Escape special characters in `str` for use in a regular expression
+ */
+
+function escapeRegex(str) {
+  return str.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
 /**
  * Create a string to pass into `RegExp` for checking for and finding async ids.
  * @param  {String} `prefix` prefix to use for the first part of the regex
+ * @param  {Boolean} `nocache` don't add the string to the cache
  * @return {String} string to pass into `RegExp`
  */
 
-function createRegexString(prefix) {
+function createRegexString(prefix, nocache) {
   var key = 'createRegexString:' + prefix;
   if (cache.hasOwnProperty(key)) {
     return cache[key];
   }
   var str = (prefix + '(\\d+)$}').replace(/\\?([${}])/g, '\\$1');
-  cache[key] = str;
+  if (!nocache) cache[key] = str;
   return str;
 }
 
+/**
+ * Properties that may be defined on helper functions
+ */
+
+var helperProps = [
+  'async',
+  'sync',
+  'displayName',
+  'concurrency',
+  'timeout',
+  'memoize',
+  'cacheable',
+  'onError',
+  'retry',
+  'signal',
+  'block'
+];
+
 /**
  * Return true if the given value is a helper "group"
  */
@@ -530,13 +2309,239 @@ function isHelperGroup(helpers) {
   }
   if (typeof helpers === 'function' || isObject(helpers)) {
     var keys = Object.keys(helpers).filter(function(name) {
-      return ['async', 'sync', 'displayName'].indexOf(name) === -1;
+      return helperProps.indexOf(name) === -1;
     });
     return keys.length > 1;
   }
   return false;
 }
 
+/**
+ * Create a function that queues tasks (functions returning a promise)
+ * so no more than `concurrency` tasks are running at the same time.
+ * Tasks are called with their slot, which can be suspended while the
+ * task waits on other tasks and resumed before it continues. Resumed
+ * slots are taken before the tasks that are still queued.
+ *
+ * @param  {Number} `concurrency` maximum number of running tasks
+ * @return {Function}
+ */
+
+function createLimiter(concurrency) {
+  var active = 0;
+  var queue = [];
+
+  function next() {
+    while (active < concurrency && queue.length) {
+      active++;
+      queue.shift()();
+    }
+  }
+
+  function release() {
+    active--;
+    next();
+  }
+
+  function limiter(task) {
+    return new Promise(function(resolve, reject) {
+      queue.push(function() {
+        var slot = createSlot();
+        Promise.resolve(slot)
+          .then(task)
+          .then(resolve, reject)
+          .then(slot.end);
+      });
+      next();
+    });
+  }
+
+  function createSlot() {
+    var held = true;
+    var done = false;
+    var entry = null;
+    var waiting = [];
+
+    function take() {
+      entry = null;
+      held = true;
+      flush();
+    }
+
+    function flush() {
+      waiting.splice(0).forEach(function(resolve) {
+        resolve();
+      });
+    }
+
+    function dequeue() {
+      if (entry) {
+        queue.splice(queue.indexOf(entry), 1);
+        entry = null;
+      }
+    }
+
+    return {
+      suspend: function() {
+        dequeue();
+        if (held) {
+          held = false;
+          release();
+        }
+      },
+      resume: function() {
+        return new Promise(function(resolve) {
+          if (held || done) {
+            resolve();
+            return;
+          }
+          waiting.push(resolve);
+          if (!entry) {
+            entry = take;
+            queue.unshift(entry);
+            next();
+          }
+        });
+      },
+      end: function() {
+        done = true;
+        dequeue();
+        flush();
+        if (held) {
+          held = false;
+          release();
+        }
+      }
+    };
+  }
+
+  limiter.concurrency = concurrency;
+  return limiter;
+}
+
+/**
+ * Throw when `options[key]` is defined but is not a positive number
+ */
+
+function assertPositive(options, key) {
+  var val = options[key];
+  if (typeof val !== 'undefined' && !(typeof val === 'number' && val > 0)) {
+    throw new TypeError('AsyncHelpers: expected `options.' + key + '` to be a positive number');
+  }
+}
+
+/**
+ * Return true if the given value is a positive, finite number
+ */
+
+function isFinitePositive(val) {
+  return typeof val === 'number' && val > 0 && val !== Infinity;
+}
+
+/**
+ * Wait for all of the given promises (or values) to settle. Resolves to
+ * an array of results, or rejects with the error of the first promise
+ * (by position, not by time) that was rejected.
+ *
+ * @param  {Array} `promises`
+ * @return {Promise}
+ */
+
+function settleAll(promises) {
+  return new Promise(function(resolve, reject) {
+    var len = promises.length;
+    var results = new Array(len);
+    var errors = new Array(len);
+    var failed = new Array(len);
+    var pending = len;
+
+    if (len === 0) {
+      resolve(results);
+      return;
+    }
+
+    promises.forEach(function(promise, i) {
+      Promise.resolve(promise).then(function(val) {
+        results[i] = val;
+        done();
+      }, function(err) {
+        errors[i] = err;
+        failed[i] = true;
+        done();
+      });
+    });
+
+    function done() {
+      if (--pending > 0) return;
+      for (var i = 0; i < len; i++) {
+        if (failed[i] === true) {
+          reject(errors[i]);
+          return;
+        }
+      }
+      resolve(results);
+    }
+  });
+}
+
+/**
+ * Noop
+ */
+
+function noop() {}
+
+/**
+ * Return an array with duplicate values removed
+ */
+
+function unique(arr) {
+  var seen = {};
+  return arr.filter(function(val) {
+    if (seen.hasOwnProperty(val)) return false;
+    seen[val] = true;
+    return true;
+  });
+}
+
+/**
+ * Return true if the given value is a promise or "thenable"
+ */
+
+function isPromise(val) {
+  return !!val && (typeof val === 'object' || typeof val === 'function')
+    && typeof val.then === 'function';
+}
+
+/**
+ * Ensure the reason a promise was rejected with is an `Error`
+ * so it can be decorated by `formatError`.
+ */
+
+function toError(err) {
+  if (err instanceof Error) {
+    return err;
+  }
+  return new Error(typeof err === 'undefined' ? 'promise rejected' : String(err));
+}
+
+/**
+ * Return true if the given value is an `async function`
+ */
+
+function isAsyncFunction(fn) {
+  return typeof fn === 'function' && !!fn.constructor && fn.constructor.name === 'AsyncFunction';
+}
+
+/**
+ * Get the instance for an adapter. Async ids are escaped by
+ * default, since most engines HTML escape their output.
+ */
+
+function adapterInstance(options) {
+  options = Object.assign({escape: true}, options);
+  return options.asyncHelpers || new AsyncHelpers(options);
+}
+
 /**
  * Return true if the given value is an object
  */
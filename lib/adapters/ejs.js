@@ -0,0 +1,21 @@
+'use strict';
+
+var createAdapter = require('./');
+
+/**
+ * Create an adapter for EJS templates. Helpers are added to the data
+ * of each render, so they're available as locals, e.g. `<%= upper(name) %>`.
+ * Async helpers get a callback after the arguments passed in the template.
+ *
+ * @param {Object} `asyncHelpers` AsyncHelpers instance with the helpers to use
+ * @param {Object} `ejs` EJS module
+ * @return {Object} Adapter with `registerHelper`, `compile` and `render` methods
+ */
+
+module.exports = function(asyncHelpers, ejs) {
+  return createAdapter(asyncHelpers, {
+    compile: function(str, options) {
+      return ejs.compile(str, options);
+    }
+  });
+};
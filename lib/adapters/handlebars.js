@@ -0,0 +1,265 @@
+'use strict';
+
+var createAdapter = require('./');
+var helpers = require('../helpers');
+
+/**
+ * Enable async partials for the Handlebars environment `hbs`. Dynamic
+ * partial names (`{{> (name) }}`) may come from async helpers, and
+ * partials that aren't registered may be loaded with `options.load`.
+ * Partials are rendered once their name and source are ready, and the
+ * output is resolved along with the other async ids.
+ *
+ * The environment gets its own copy of `hbs.VM`, so other Handlebars
+ * environments are not affected.
+ *
+ * @param {Object} `asyncHelpers` AsyncHelpers instance used to create async ids
+ * @param {Object} `hbs` Handlebars environment
+ * @param {Object} `options`
+ *   @option {Function} `load` Function that takes a partial name and returns the partial source, a promise, or calls back with it.
+ * @return {Object} Returns `hbs`
+ */
+
+exports.partials = function(asyncHelpers, hbs, options) {
+  options = Object.assign({}, options);
+
+  // the environment has already been updated
+  if (hbs.VM.asyncHelpers) {
+    hbs.VM.asyncHelpers = asyncHelpers;
+    hbs.VM.load = options.load;
+    return hbs;
+  }
+
+  var original = hbs.VM;
+  var loading = new Map();
+  var VM = Object.create(original);
+  VM.asyncHelpers = asyncHelpers;
+  VM.load = options.load;
+
+  VM.invokePartial = function(partial, context, opts) {
+    var name = opts.name;
+    var isAsyncName = typeof name === 'string' && VM.asyncHelpers.hasAsyncId(name);
+
+    if (partial === undefined && (isAsyncName || typeof VM.load === 'function')) {
+      var self = VM.asyncHelpers;
+      var fn = function(name, context, opts) {
+        return renderPartial(self, name, context, opts);
+      };
+      fn.memoize = false;
+      return self.wrapper('partial', fn).call(context, name, context, opts);
+    }
+    return original.invokePartial.apply(this, arguments);
+  };
+
+  /**
+   * Render a partial once its `name` has been resolved. This is
+   * called by the resolver like any other async helper. Async ids
+   * created by the partial belong to `self`, the instance or session
+   * that created the id for the partial.
+   */
+
+  function renderPartial(self, name, context, opts) {
+    // hash values may have been async ids when they were merged
+    // into the context by Handlebars' `invokePartialWrapper`
+    if (opts.hash) {
+      context = Object.assign({}, context, opts.hash);
+    }
+
+    return getPartial(name, opts).then(function(partial) {
+      opts.name = name;
+      if (typeof partial === 'string') {
+        partial = opts.partials[name] = hbs.compile(partial);
+      }
+
+      var current = VM.asyncHelpers;
+      VM.asyncHelpers = self;
+      try {
+        return indent(original.invokePartial(partial, context, opts), opts.indent);
+      } finally {
+        VM.asyncHelpers = current;
+      }
+    });
+  }
+
+  /**
+   * Get a registered partial or load it with `options.load`
+   */
+
+  function getPartial(name, opts) {
+    if (opts.partials && opts.partials.hasOwnProperty(name)) {
+      return Promise.resolve(opts.partials[name]);
+    }
+    if (hbs.partials.hasOwnProperty(name)) {
+      return Promise.resolve(hbs.partials[name]);
+    }
+    if (typeof VM.load !== 'function') {
+      return Promise.resolve();
+    }
+
+    if (!loading.has(name)) {
+      var promise = load(VM.load, name).then(function(source) {
+        if (typeof source !== 'undefined' && source !== null) {
+          hbs.registerPartial(name, source);
+        }
+        return source == null ? undefined : source;
+      });
+      promise.catch(function() {
+        loading.delete(name);
+      });
+      loading.set(name, promise);
+    }
+    return loading.get(name);
+  }
+
+  hbs.VM = VM;
+  return hbs;
+};
+
+/**
+ * Create an adapter that renders Handlebars templates with the helpers
+ * registered on `asyncHelpers`. Each render gets its own session, and
+ * compiled templates return a promise for the resolved string. The
+ * built-in `if`, `unless`, `lookup`, `each` and `with` helpers wait for
+ * async values, and async partials are enabled for `hbs`.
+ *
+ * @param {Object} `asyncHelpers` AsyncHelpers instance with the helpers to use
+ * @param {Object} `hbs` Handlebars environment
+ * @param {Object} `options`
+ *   @option {Function} `load` Function used to load partials that aren't registered. See `partials`.
+ * @return {Object} Adapter with `registerHelper`, `registerPartial`, `compile` and `render` methods
+ */
+
+exports.adapter = function(asyncHelpers, hbs, options) {
+  options = Object.assign({}, options);
+  exports.partials(asyncHelpers, hbs, {load: options.load});
+
+  var builtins = {
+    if: {sync: hbs.helpers.if, async: hbs.helpers.if},
+    unless: {sync: hbs.helpers.unless, async: hbs.helpers.unless},
+    lookup: {sync: hbs.helpers.lookup, async: hbs.helpers.lookup},
+    each: {sync: hbs.helpers.each, async: helpers.each},
+    with: {sync: hbs.helpers.with, async: helpers.with}
+  };
+
+  var adapter = createAdapter(asyncHelpers, {
+    compile: function(str, compileOptions) {
+      return hbs.compile(str, compileOptions);
+    },
+
+    render: function(fn, context, ctx) {
+      var VM = hbs.VM;
+      var current = VM.asyncHelpers;
+      var opts = Object.assign({}, ctx.options);
+      opts.helpers = Object.assign(runtimeHelpers(ctx), opts.helpers);
+
+      // partials use the session while the template is rendered
+      VM.asyncHelpers = ctx.session;
+      try {
+        return fn(context, opts);
+      } finally {
+        VM.asyncHelpers = current;
+      }
+    }
+  });
+
+  adapter.hbs = hbs;
+  adapter.registerPartial = function(name, partial) {
+    hbs.registerPartial(name, partial);
+    return adapter;
+  };
+
+  /**
+   * Helpers that create async ids in the session. Built-in helpers
+   * are only deferred when they are passed async values.
+   */
+
+  function runtimeHelpers(ctx) {
+    var res = Object.assign({}, ctx.helpers);
+    Object.keys(builtins).forEach(function(name) {
+      if (!asyncHelpers.helpers.hasOwnProperty(name)) {
+        res[name] = builtin(ctx.session, name, builtins[name]);
+      }
+    });
+    return res;
+  }
+
+  return adapter;
+};
+
+/**
+ * Returns a helper that calls the `sync` version of a built-in helper,
+ * or the wrapped `async` version when any of the arguments are async.
+ */
+
+function builtin(session, name, helper) {
+  var wrapped = session.wrapper(name, helper.async);
+  return function() {
+    var args = [].slice.call(arguments, 0, -1);
+    for (var i = 0; i < args.length; i++) {
+      if (isAsync(session, args[i])) {
+        return wrapped.apply(this, arguments);
+      }
+    }
+    return helper.sync.apply(this, arguments);
+  };
+}
+
+/**
+ * Returns true if `val` is an async id, a stream or an async iterable
+ */
+
+function isAsync(session, val) {
+  if (typeof val === 'string') {
+    return session.hasAsyncId(val);
+  }
+  if (!val || typeof val !== 'object') {
+    return false;
+  }
+  if (typeof val.pipe === 'function' && typeof val.on === 'function') {
+    return true;
+  }
+  return typeof Symbol.asyncIterator === 'symbol' && typeof val[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Call a loader that may return the source, return a
+ * promise, or call back with the source.
+ */
+
+function load(fn, name) {
+  return new Promise(function(resolve, reject) {
+    var res = fn(name, function(err, source) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(source);
+    });
+
+    if (res && typeof res.then === 'function') {
+      res.then(resolve, reject);
+    } else if (typeof res !== 'undefined' || fn.length < 2) {
+      resolve(res);
+    }
+  });
+}
+
+/**
+ * Indent all but the first line of a partial. The first line is
+ * indented by Handlebars when it indents the async id.
+ */
+
+function indent(str, prefix) {
+  if (!prefix || typeof str !== 'string') {
+    return str;
+  }
+
+  var lines = str.split('\n');
+  for (var i = 1; i < lines.length; i++) {
+    if (!lines[i] && i + 1 === lines.length) {
+      break;
+    }
+    lines[i] = prefix + lines[i];
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,102 @@
+'use strict';
+
+var AsyncHelperError = require('../errors').AsyncHelperError;
+
+/**
+ * Create an adapter that renders templates of any engine with the
+ * helpers registered on `asyncHelpers`. An adapter registers helpers,
+ * renders each template in its own session, and post-processes the
+ * rendered string by resolving the async ids. Compiled templates return
+ * a promise for the final string.
+ *
+ * The `engine` object describes how to use the template engine:
+ *
+ * - `compile(str, options)` (required) returns a template.
+ * - `render(template, data, ctx)` returns the rendered string with async
+ *   ids. `ctx.helpers` are the wrapped helpers of the session, and
+ *   `ctx.options` are the options passed to the template. Defaults to
+ *   calling `template` with the helpers added to `data`.
+ * - `postProcess(str, session, ctx)` returns a promise for the final string.
+ *   Defaults to `session.resolve(str, {signal: ctx.options.signal})`.
+ *
+ * When `options.filename` or `options.name` is passed to `compile`, it's
+ * used as the `template` of errors from helpers. Pass an `AbortSignal`
+ * as `signal` to a compiled template to stop resolving it.
+ *
+ * @param {Object} `asyncHelpers` AsyncHelpers instance with the helpers to use
+ * @param {Object} `engine`
+ * @return {Object} Adapter with `registerHelper`, `compile` and `render` methods
+ */
+
+module.exports = function createAdapter(asyncHelpers, engine) {
+  if (!engine || typeof engine.compile !== 'function') {
+    throw new TypeError('AsyncHelpers#adapter: expected `engine.compile` to be a function');
+  }
+
+  var adapter = {
+    asyncHelpers: asyncHelpers,
+    engine: engine,
+
+    registerHelper: function(name, fn) {
+      asyncHelpers.set(name, fn);
+      return adapter;
+    },
+
+    compile: function(str, options) {
+      var template = engine.compile(str, options);
+      var name = options ? (options.filename || options.name || null) : null;
+      return function(data, opts) {
+        return render(template, name, data, opts);
+      };
+    },
+
+    render: function(str, data, options) {
+      try {
+        return adapter.compile(str, options)(data);
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    }
+  };
+
+  /**
+   * Render `template` in a new session
+   */
+
+  function render(template, name, data, options) {
+    var session = asyncHelpers.session();
+    var ctx = {
+      helpers: session.get({wrap: true}),
+      session: session,
+      options: Object.assign({}, options)
+    };
+    var str;
+
+    try {
+      str = typeof engine.render === 'function'
+        ? engine.render(template, data, ctx)
+        : template(Object.assign({}, ctx.helpers, data));
+    } catch (err) {
+      session.dispose();
+      return Promise.reject(err);
+    }
+
+    var res = typeof engine.postProcess === 'function'
+      ? engine.postProcess(str, session, ctx)
+      : session.resolve(str, {signal: ctx.options.signal});
+
+    return Promise.resolve(res)
+      .then(function(res) {
+        session.dispose();
+        return res;
+      }, function(err) {
+        session.dispose();
+        if (err instanceof AsyncHelperError && err.template === null) {
+          err.template = name;
+        }
+        throw err;
+      });
+  }
+
+  return adapter;
+};
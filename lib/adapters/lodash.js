@@ -0,0 +1,92 @@
+'use strict';
+
+var createAdapter = require('./');
+
+/**
+ * Create an adapter that renders Lodash (or Underscore) templates with
+ * the helpers registered on `asyncHelpers`. Each render gets its own
+ * session, and compiled templates return a promise for the resolved
+ * string. Lodash helpers don't get an `options` object, so async
+ * helpers get the callback right after the arguments they're called
+ * with, e.g. `spacer(name)` calls `spacer(name, cb)`.
+ *
+ * With Lodash, helpers are added to the `imports` of each template, and
+ * templates are compiled again when helpers are registered after they
+ * were compiled. Underscore doesn't support `imports`, so helpers are
+ * added to the data object instead.
+ *
+ * @param {Object} `asyncHelpers` AsyncHelpers instance with the helpers to use
+ * @param {Object} `_` Lodash or Underscore
+ * @return {Object} Adapter with `registerHelper`, `compile` and `render` methods
+ */
+
+module.exports = function(asyncHelpers, _) {
+  var hasImports = !!_.templateSettings && isObject(_.templateSettings.imports);
+
+  // helpers of the session that is currently rendering
+  var current = null;
+
+  /**
+   * Imports are bound when a template is compiled, so they call
+   * the helpers of the session that is rendering the template.
+   */
+
+  function imports(names) {
+    var res = {};
+    names.forEach(function(name) {
+      res[name] = function() {
+        if (current === null) {
+          throw new Error('AsyncHelpers#lodash: helper "' + name + '" was called outside of a render');
+        }
+        return current[name].apply(this, arguments);
+      };
+    });
+    return res;
+  }
+
+  return createAdapter(asyncHelpers, {
+    compile: function(str, settings) {
+      settings = Object.assign({}, settings);
+      if (!hasImports) {
+        return _.template(str, settings);
+      }
+
+      var names;
+      var fn;
+
+      function compile() {
+        names = Object.keys(asyncHelpers.helpers);
+        fn = _.template(str, Object.assign({}, settings, {
+          imports: Object.assign(imports(names), settings.imports)
+        }));
+      }
+
+      compile();
+      return function(data) {
+        var added = Object.keys(asyncHelpers.helpers).some(function(name) {
+          return names.indexOf(name) === -1;
+        });
+        if (added) compile();
+        return fn(data);
+      };
+    },
+
+    render: function(fn, data, ctx) {
+      if (!hasImports) {
+        return fn(Object.assign({}, ctx.helpers, data));
+      }
+
+      var prev = current;
+      current = ctx.helpers;
+      try {
+        return fn(data);
+      } finally {
+        current = prev;
+      }
+    }
+  });
+};
+
+function isObject(val) {
+  return val !== null && typeof val === 'object';
+}
@@ -0,0 +1,56 @@
+'use strict';
+
+var createAdapter = require('./');
+var escapeHtml = require('../utils').escapeHtml;
+
+/**
+ * Create an adapter for plain JavaScript functions that render tagged
+ * template literals. Templates are called with the data, the helpers
+ * of the render session and an `html` tag that HTML escapes the values
+ * of the template literal. Async ids are escaped like other values, so
+ * resolved values are escaped when the `escape` option is used.
+ *
+ * ```js
+ * var fn = adapter.compile(function(data, helpers, html) {
+ *   return html`<h1>${helpers.upper(data.title)}</h1>`;
+ * });
+ * ```
+ * @param {Object} `asyncHelpers` AsyncHelpers instance with the helpers to use
+ * @return {Object} Adapter with `registerHelper`, `compile` and `render` methods
+ */
+
+module.exports = function(asyncHelpers) {
+  return createAdapter(asyncHelpers, {
+    compile: function(fn) {
+      if (typeof fn !== 'function') {
+        throw new TypeError('AsyncHelpers#template: expected template to be a function');
+      }
+      return fn;
+    },
+    render: function(fn, data, ctx) {
+      return fn(data, ctx.helpers, html);
+    }
+  });
+};
+
+/**
+ * Tag for template literals that HTML escapes the values
+ */
+
+function html(strings) {
+  var res = strings[0];
+  for (var i = 1; i < strings.length; i++) {
+    res += escape(arguments[i]) + strings[i];
+  }
+  return res;
+}
+
+function escape(val) {
+  if (val === null || typeof val === 'undefined') {
+    return '';
+  }
+  if (Array.isArray(val)) {
+    return val.map(escape).join('');
+  }
+  return escapeHtml(String(val));
+}
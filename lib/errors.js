@@ -0,0 +1,116 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * Error used when a helper fails while async ids are resolved. The
+ * message and properties like `code` are copied from the error the
+ * helper threw or passed to its callback, which is kept as `cause`.
+ *
+ * ```js
+ * asyncHelpers.resolve(str)
+ *   .catch(function(err) {
+ *     console.log(err.helperName, err.id, err.chain);
+ *     console.log(err.template, err.loc);
+ *   });
+ * ```
+ *
+ * @param {String} `message`
+ * @param {Error} `cause` Error from the helper
+ * @api public
+ */
+
+function AsyncHelperError(message, cause) {
+  if (!(this instanceof AsyncHelperError)) {
+    return new AsyncHelperError(message, cause);
+  }
+
+  Error.call(this);
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, AsyncHelperError);
+  }
+
+  this.name = 'AsyncHelperError';
+  this.message = message;
+
+  if (cause) {
+    var keys = Object.keys(cause);
+    for (var i = 0; i < keys.length; i++) {
+      if (!this.hasOwnProperty(keys[i])) {
+        this[keys[i]] = cause[keys[i]];
+      }
+    }
+    Object.defineProperty(this, 'cause', {
+      configurable: true,
+      enumerable: false,
+      writable: true,
+      value: cause
+    });
+  }
+
+  // name and id of the helper that failed
+  this.helperName = null;
+  this.id = null;
+
+  // ids of the helpers that were waiting for the failed helper,
+  // starting with the outermost helper
+  this.chain = [];
+
+  // template name and `{line, column}` position of the helper,
+  // when provided by the template engine or adapter
+  this.template = null;
+  this.loc = null;
+}
+
+util.inherits(AsyncHelperError, Error);
+
+/**
+ * Error used when resolving is stopped with an `AbortSignal`. The
+ * `reason` of the signal, when it has one, is kept as `cause`.
+ *
+ * ```js
+ * var controller = new AbortController();
+ * asyncHelpers.resolve(str, {signal: controller.signal})
+ *   .catch(function(err) {
+ *     console.log(err.name);
+ *     //=> 'AbortError'
+ *   });
+ * controller.abort();
+ * ```
+ *
+ * @param {Object} `signal` The signal that was aborted
+ * @api public
+ */
+
+function AbortError(signal) {
+  if (!(this instanceof AbortError)) {
+    return new AbortError(signal);
+  }
+
+  Error.call(this);
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, AbortError);
+  }
+
+  this.name = 'AbortError';
+  this.code = 'ABORT_ERR';
+  this.message = 'AsyncHelpers: the operation was aborted';
+
+  if (signal && typeof signal.reason !== 'undefined') {
+    Object.defineProperty(this, 'cause', {
+      configurable: true,
+      enumerable: false,
+      writable: true,
+      value: signal.reason
+    });
+  }
+}
+
+util.inherits(AbortError, Error);
+
+/**
+ * Expose errors
+ */
+
+exports.AsyncHelperError = AsyncHelperError;
+exports.AbortError = AbortError;
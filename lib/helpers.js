@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Async versions of the Handlebars `each` and `with` block helpers.
+ * Besides arrays and objects, they accept async iterables and readable
+ * object streams, e.g. returned by other async helpers. Register them
+ * with `asyncHelpers.set` so they are wrapped with the other helpers.
+ *
+ * ```js
+ * asyncHelpers.set(AsyncHelpers.helpers);
+ * hbs.registerHelper(asyncHelpers.get({wrap: true}));
+ * ```
+ */
+
+var helpers = module.exports;
+
+/**
+ * Render the block for each item in `context`. Sets the `@index`,
+ * `@key`, `@first` and `@last` data variables for each item, and
+ * renders the inverse block when there are no items.
+ *
+ * @param {Array|Object|Iterable|Stream} `context`
+ * @param {Object} `options` Handlebars options object
+ * @return {Promise}
+ * @api public
+ */
+
+helpers.each = function(context, options) {
+  if (!options || typeof options.fn !== 'function') {
+    return Promise.reject(new Error('Must pass iterator to #each'));
+  }
+
+  if (typeof context === 'function') {
+    context = context.call(this);
+  }
+
+  var self = this;
+  return toList(context).then(function(list) {
+    var keys = Array.isArray(list) ? null : Object.keys(list);
+    var len = keys ? keys.length : list.length;
+    var res = '';
+
+    if (len === 0) {
+      return options.inverse(self);
+    }
+
+    for (var i = 0; i < len; i++) {
+      var key = keys ? keys[i] : i;
+      var item = list[key];
+
+      // each iteration gets its own frame since wrapped helpers
+      // may read `options.data` after the loop has finished
+      var data = createFrame(options.data);
+      data.key = key;
+      data.index = i;
+      data.first = i === 0;
+      data.last = i === len - 1;
+
+      res += options.fn(item, {data: data, blockParams: [item, key]});
+    }
+    return res;
+  });
+};
+
+/**
+ * Render the block with `context` as the context, or the inverse
+ * block when `context` is empty.
+ *
+ * @param {any} `context`
+ * @param {Object} `options` Handlebars options object
+ * @return {Promise}
+ * @api public
+ */
+
+helpers.with = function(context, options) {
+  if (!options || typeof options.fn !== 'function') {
+    return Promise.reject(new Error('#with requires exactly one argument'));
+  }
+
+  if (typeof context === 'function') {
+    context = context.call(this);
+  }
+
+  var self = this;
+  var pending = isIterable(context) ? toList(context) : Promise.resolve(context);
+  return pending.then(function(val) {
+    if (isEmpty(val)) {
+      return options.inverse(self);
+    }
+    return options.fn(val, {
+      data: createFrame(options.data),
+      blockParams: [val]
+    });
+  });
+};
+
+/**
+ * Convert async iterables and streams to an array. Arrays
+ * and objects are returned as is.
+ */
+
+function toList(context) {
+  if (context == null || context === false) {
+    return Promise.resolve([]);
+  }
+  if (isStream(context)) {
+    return readStream(context);
+  }
+  if (typeof Symbol.asyncIterator === 'symbol' && typeof context[Symbol.asyncIterator] === 'function') {
+    return readIterator(context[Symbol.asyncIterator]());
+  }
+  if (typeof context !== 'string' && typeof context[Symbol.iterator] === 'function') {
+    return Promise.resolve(Array.from(context));
+  }
+  if (typeof context === 'object') {
+    return Promise.resolve(context);
+  }
+  return Promise.resolve([]);
+}
+
+/**
+ * Read all of the items from an async iterator.
+ */
+
+function readIterator(iterator) {
+  var items = [];
+  function next() {
+    return Promise.resolve(iterator.next()).then(function(res) {
+      if (res.done) return items;
+      items.push(res.value);
+      return next();
+    });
+  }
+  return next();
+}
+
+/**
+ * Read all of the records from a readable stream.
+ */
+
+function readStream(stream) {
+  return new Promise(function(resolve, reject) {
+    var items = [];
+    stream.on('data', function(item) {
+      items.push(item);
+    });
+    stream.on('error', reject);
+    stream.on('end', function() {
+      resolve(items);
+    });
+  });
+}
+
+/**
+ * Create a new data frame, the same as Handlebars' `createFrame`.
+ */
+
+function createFrame(data) {
+  var frame = Object.assign({}, data);
+  frame._parent = data;
+  return frame;
+}
+
+function isStream(val) {
+  return val && typeof val === 'object' && typeof val.pipe === 'function' && typeof val.on === 'function';
+}
+
+function isIterable(val) {
+  if (!val || typeof val !== 'object' || Array.isArray(val)) {
+    return false;
+  }
+  return isStream(val)
+    || (typeof Symbol.asyncIterator === 'symbol' && typeof val[Symbol.asyncIterator] === 'function')
+    || typeof val[Symbol.iterator] === 'function';
+}
+
+function isEmpty(val) {
+  if (Array.isArray(val)) {
+    return val.length === 0;
+  }
+  return !val && val !== 0;
+}
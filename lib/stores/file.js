@@ -0,0 +1,195 @@
+'use strict';
+
+var crypto = require('crypto');
+var path = require('path');
+var fs = require('fs');
+var os = require('os');
+var writes = 0;
+
+/**
+ * Create a new store that keeps helper results as JSON files in a
+ * directory, so results can be reused across processes. Results must
+ * be serializable with `JSON.stringify`.
+ *
+ * ```js
+ * var store = new AsyncHelpers.FileStore({dir: '.cache/helpers'});
+ * var asyncHelpers = new AsyncHelpers({store: store});
+ * ```
+ *
+ * @param {Object} `options`
+ *   @option {String} `dir` Directory to store results in. Defaults to a directory in `os.tmpdir()` for the current working directory, so results aren't shared between projects.
+ *   @option {Number} `ttl` Default number of milliseconds to keep a result.
+ * @api public
+ */
+
+function FileStore(options) {
+  if (!(this instanceof FileStore)) {
+    return new FileStore(options);
+  }
+  this.options = Object.assign({}, options);
+  this.dir = path.resolve(this.options.dir || defaultDir());
+}
+
+/**
+ * Get a stored result. Resolves to `undefined` when the result
+ * is not stored or has expired.
+ *
+ * @param {String} `key`
+ * @return {Promise}
+ * @api public
+ */
+
+FileStore.prototype.get = function(key) {
+  var fp = this.filepath(key);
+  var self = this;
+
+  return new Promise(function(resolve, reject) {
+    fs.readFile(fp, 'utf8', function(err, str) {
+      if (err) {
+        if (err.code === 'ENOENT') {
+          resolve();
+          return;
+        }
+        reject(err);
+        return;
+      }
+
+      var entry;
+      try {
+        entry = JSON.parse(str);
+      } catch (err) {
+        resolve();
+        return;
+      }
+
+      // guard against hash collisions
+      if (entry.key !== key) {
+        resolve();
+        return;
+      }
+
+      if (entry.expires !== null && entry.expires <= Date.now()) {
+        self.delete(key).then(function() {
+          resolve();
+        }, reject);
+        return;
+      }
+      resolve(entry.value);
+    });
+  });
+};
+
+/**
+ * Store a result.
+ *
+ * @param {String} `key`
+ * @param {any} `value` Value that can be serialized with `JSON.stringify`.
+ * @param {Number} `ttl` Optional number of milliseconds to keep the result.
+ * @return {Promise}
+ * @api public
+ */
+
+FileStore.prototype.set = function(key, value, ttl) {
+  ttl = typeof ttl === 'number' ? ttl : this.options.ttl;
+
+  var fp = this.filepath(key);
+  // unique per call, so concurrent writes to the same key don't collide
+  var tmp = [fp, process.pid, writes++, crypto.randomBytes(4).toString('hex'), 'tmp'].join('.');
+  var str = JSON.stringify({
+    key: key,
+    value: value,
+    expires: ttl > 0 && ttl !== Infinity ? Date.now() + ttl : null
+  });
+
+  return mkdirp(this.dir)
+    .then(function() {
+      return new Promise(function(resolve, reject) {
+        // write to a temp file first so readers never see a partial file
+        fs.writeFile(tmp, str, function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          fs.rename(tmp, fp, function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+      });
+    });
+};
+
+/**
+ * Remove a stored result.
+ *
+ * @param {String} `key`
+ * @return {Promise}
+ * @api public
+ */
+
+FileStore.prototype.delete = function(key) {
+  var fp = this.filepath(key);
+  return new Promise(function(resolve, reject) {
+    fs.unlink(fp, function(err) {
+      if (err && err.code !== 'ENOENT') {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+};
+
+/**
+ * Get the path of the file used to store `key`.
+ *
+ * @param {String} `key`
+ * @return {String}
+ */
+
+FileStore.prototype.filepath = function(key) {
+  var hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(this.dir, hash + '.json');
+};
+
+/**
+ * Get the default directory for the current working directory.
+ */
+
+function defaultDir() {
+  var hash = crypto.createHash('sha1').update(process.cwd()).digest('hex');
+  return path.join(os.tmpdir(), 'async-helpers', hash.slice(0, 12));
+}
+
+/**
+ * Create a directory and any missing parent directories.
+ */
+
+function mkdirp(dir) {
+  return new Promise(function(resolve, reject) {
+    fs.mkdir(dir, function(err) {
+      if (!err || err.code === 'EEXIST') {
+        resolve();
+        return;
+      }
+      if (err.code !== 'ENOENT') {
+        reject(err);
+        return;
+      }
+      mkdirp(path.dirname(dir))
+        .then(function() {
+          return mkdirp(dir);
+        })
+        .then(resolve, reject);
+    });
+  });
+}
+
+/**
+ * Expose `FileStore`
+ */
+
+module.exports = FileStore;
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Create a new in-memory store for helper results. When more than
+ * `max` results are stored, the least recently used result is removed.
+ *
+ * ```js
+ * var store = new AsyncHelpers.MemoryStore({max: 500});
+ * var asyncHelpers = new AsyncHelpers({store: store});
+ * ```
+ *
+ * @param {Object} `options`
+ *   @option {Number} `max` Maximum number of results to store. Defaults to `1000`.
+ *   @option {Number} `ttl` Default number of milliseconds to keep a result.
+ * @api public
+ */
+
+function MemoryStore(options) {
+  if (!(this instanceof MemoryStore)) {
+    return new MemoryStore(options);
+  }
+  this.options = Object.assign({max: 1000}, options);
+  this.entries = new Map();
+}
+
+/**
+ * Get a stored result. Resolves to `undefined` when the result
+ * is not stored or has expired.
+ *
+ * @param {String} `key`
+ * @return {Promise}
+ * @api public
+ */
+
+MemoryStore.prototype.get = function(key) {
+  var entry = this.entries.get(key);
+  if (!entry) {
+    return Promise.resolve();
+  }
+
+  if (entry.expires !== null && entry.expires <= Date.now()) {
+    this.entries.delete(key);
+    return Promise.resolve();
+  }
+
+  // move the entry to the end so it's the most recently used
+  this.entries.delete(key);
+  this.entries.set(key, entry);
+  return Promise.resolve(entry.value);
+};
+
+/**
+ * Store a result.
+ *
+ * @param {String} `key`
+ * @param {any} `value`
+ * @param {Number} `ttl` Optional number of milliseconds to keep the result.
+ * @return {Promise}
+ * @api public
+ */
+
+MemoryStore.prototype.set = function(key, value, ttl) {
+  ttl = typeof ttl === 'number' ? ttl : this.options.ttl;
+
+  this.entries.delete(key);
+  this.entries.set(key, {
+    value: value,
+    expires: ttl > 0 && ttl !== Infinity ? Date.now() + ttl : null
+  });
+
+  while (this.entries.size > this.options.max) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+  return Promise.resolve();
+};
+
+/**
+ * Remove a stored result.
+ *
+ * @param {String} `key`
+ * @return {Promise}
+ * @api public
+ */
+
+MemoryStore.prototype.delete = function(key) {
+  this.entries.delete(key);
+  return Promise.resolve();
+};
+
+/**
+ * Expose `MemoryStore`
+ */
+
+module.exports = MemoryStore;
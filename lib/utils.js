@@ -0,0 +1,24 @@
+'use strict';
+
+var htmlEntities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#x27;',
+  '`': '&#x60;',
+  '=': '&#x3D;'
+};
+
+/**
+ * Escape HTML characters the same way as Handlebars
+ *
+ * @param {String} `str`
+ * @return {String}
+ */
+
+exports.escapeHtml = function(str) {
+  return str.replace(/[&<>"'`=]/g, function(ch) {
+    return htmlEntities[ch];
+  });
+};
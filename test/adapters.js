@@ -0,0 +1,146 @@
+'use strict';
+
+var assert = require('assert');
+var helpers = require('./support/helpers').lodash;
+var AsyncHelpers = require('../');
+
+describe('adapters', function() {
+  describe('adapter', function() {
+    var engine = {
+      compile: function(str) {
+        return function(data) {
+          return str.replace(/\{(\w+) (\w+)\}/g, function(m, name, key) {
+            return data[name](data[key]);
+          });
+        };
+      }
+    };
+
+    it('should throw when the engine does not have a compile method', function() {
+      assert.throws(function() {
+        AsyncHelpers.adapter({});
+      }, /expected `engine.compile` to be a function/);
+    });
+
+    it('should render templates with the helpers added to the data', function() {
+      var adapter = AsyncHelpers.adapter(engine);
+      adapter.registerHelper(helpers);
+
+      return adapter.render('{upper name} {lower name}', {name: 'Doowb'})
+        .then(function(content) {
+          assert.equal(content, 'DOOWB doowb');
+          assert.equal(adapter.asyncHelpers.count(), 0);
+        });
+    });
+
+    it('should use the render and postProcess methods of the engine', function() {
+      var adapter = AsyncHelpers.adapter({
+        compile: engine.compile,
+        render: function(fn, data, ctx) {
+          return fn(Object.assign({}, data, {shout: ctx.helpers.upper, lower: ctx.helpers.lower}, ctx.options));
+        },
+        postProcess: function(str, session) {
+          return session.resolve(str).then(function(str) {
+            return '[' + str + ']';
+          });
+        }
+      });
+      adapter.registerHelper(helpers);
+
+      return adapter.compile('{shout name} {lower greeting}')({name: 'doowb'}, {greeting: 'HI'})
+        .then(function(content) {
+          assert.equal(content, '[DOOWB hi]');
+        });
+    });
+
+    it('should use an existing instance', function() {
+      var asyncHelpers = new AsyncHelpers();
+      var adapter = AsyncHelpers.adapter(engine, {asyncHelpers: asyncHelpers});
+      assert.equal(adapter.asyncHelpers, asyncHelpers);
+    });
+
+    it('should stop resolving when the signal passed to the template is aborted', function() {
+      var AbortController = global.AbortController;
+      if (typeof AbortController !== 'function') {
+        this.skip();
+        return;
+      }
+
+      var controller = new AbortController();
+      var adapter = AsyncHelpers.adapter(engine);
+      adapter.registerHelper('upper', function(str) {
+        controller.abort();
+        return new Promise(function(resolve) {
+          setTimeout(resolve.bind(null, str.toUpperCase()), 10);
+        });
+      });
+
+      return adapter.compile('{upper name}')({name: 'doowb'}, {signal: controller.signal})
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert(err instanceof AsyncHelpers.AbortError);
+          assert.equal(adapter.asyncHelpers.count(), 0);
+        });
+    });
+
+    it('should reject with errors thrown while rendering', function() {
+      var adapter = AsyncHelpers.adapter(engine);
+      return adapter.render('{missing name}', {name: 'doowb'})
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert(err instanceof TypeError);
+        });
+    });
+  });
+
+  describe('template', function() {
+    var adapter;
+
+    beforeEach(function() {
+      adapter = AsyncHelpers.template();
+      adapter.registerHelper(helpers);
+    });
+
+    it('should render tagged template literals', function() {
+      var fn = adapter.compile(function(data, h, html) {
+        return html`<h1>${h.upper(data.title)}</h1><p>${h.spacer(h.lower(data.title), '-')}</p>`;
+      });
+
+      return fn({title: 'Home'})
+        .then(function(content) {
+          assert.equal(content, '<h1>HOME</h1><p>h-o-m-e</p>');
+        });
+    });
+
+    it('should escape values and resolved values', function() {
+      var fn = adapter.compile(function(data, h, html) {
+        return html`${data.title}|${h.upper(data.title)}|${[h.lower('<A>'), '<b>']}`;
+      });
+
+      return fn({title: 'Tom & Jerry'})
+        .then(function(content) {
+          assert.equal(content, 'Tom &amp; Jerry|TOM &amp; JERRY|&lt;a&gt;&lt;b&gt;');
+        });
+    });
+
+    it('should render plain template literals without escaping', function() {
+      return adapter.render(function(data, h) {
+        return `${h.upper(data.title)}`;
+      }, {title: '<b>'})
+        .then(function(content) {
+          assert.equal(content, '<B>');
+        });
+    });
+
+    it('should reject when the template is not a function', function() {
+      return adapter.render('foo', {})
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert(/expected template to be a function/.test(err.message));
+        });
+    });
+  });
+});
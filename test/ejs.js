@@ -0,0 +1,89 @@
+'use strict';
+
+var assert = require('assert');
+var ejs = require('ejs');
+var helpers = require('./support/helpers').lodash;
+var AsyncHelpers = require('../');
+
+describe('ejs', function() {
+  var tmpl = [
+    'input: <%= name %>',
+    'upper: <%= upper(name) %>',
+    'lower: <%= lower(name) %>',
+    'spacer: <%= spacer(name) %>',
+    'spacer-delim: <%= spacer(name, "-") %>',
+    'lower(upper): <%= lower(upper(name)) %>',
+    'spacer(upper, lower): <%= spacer(upper(name), lower("X")) %>'
+  ].join('\n');
+
+  var expected = [
+    'input: doowb',
+    'upper: DOOWB',
+    'lower: doowb',
+    'spacer: d o o w b',
+    'spacer-delim: d-o-o-w-b',
+    'lower(upper): doowb',
+    'spacer(upper, lower): DxOxOxWxB'
+  ].join('\n');
+
+  it('should work in ejs', function(done) {
+    var asyncHelpers = new AsyncHelpers();
+    asyncHelpers.set(helpers);
+
+    // pass the wrapped helpers to the template as locals
+    var data = Object.assign({name: 'doowb'}, asyncHelpers.get({wrap: true}));
+    var rendered = ejs.render(tmpl, data);
+
+    asyncHelpers.resolveIds(rendered, function(err, content) {
+      if (err) return done(err);
+      assert.equal(content, expected);
+      done();
+    });
+  });
+
+  describe('adapter', function() {
+    var adapter;
+
+    beforeEach(function() {
+      adapter = AsyncHelpers.ejs(ejs);
+      adapter.registerHelper(helpers);
+    });
+
+    it('should compile templates that return a promise for the resolved string', function() {
+      return adapter.compile(tmpl)({name: 'doowb'})
+        .then(function(content) {
+          assert.equal(content, expected);
+          assert.equal(adapter.asyncHelpers.count(), 0);
+        });
+    });
+
+    it('should escape values rendered with `<%= %>`', function() {
+      return adapter.render('<%= lower(name) %>|<%- lower(name) %>', {name: '<B>'})
+        .then(function(content) {
+          assert.equal(content, '&lt;b&gt;|<b>');
+        });
+    });
+
+    it('should pass options to ejs', function() {
+      return adapter.render('<%= locals.upper(locals.name) %>', {name: 'doowb'}, {_with: false})
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+        });
+    });
+
+    it('should reject with errors from helpers', function() {
+      function fail(cb) {
+        cb(new Error('nope'));
+      }
+      fail.async = true;
+      adapter.registerHelper('fail', fail);
+
+      return adapter.render('<%= fail() %>', {})
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.message, 'nope');
+        });
+    });
+  });
+});
@@ -2,6 +2,7 @@
 
 require('mocha');
 var assert = require('assert');
+var Readable = require('stream').Readable;
 var Handlebars = require('handlebars');
 var helpers = require('./support/helpers').handlebars;
 var AsyncHelpers = require('../');
@@ -97,4 +98,468 @@ describe('handlebars', function() {
       done();
     });
   });
+
+  it('should escape resolved values the same way as handlebars', function() {
+    var asyncHelpers2 = new AsyncHelpers({escape: true});
+    asyncHelpers2.set('upper', helpers.upper);
+    asyncHelpers2.set('lower', helpers.lower);
+    hbs.registerHelper(asyncHelpers2.get({wrap: true}));
+    hbs.registerHelper('encode', function(str) {
+      return encodeURIComponent(str);
+    });
+
+    var fn = hbs.compile([
+      '<p>{{upper name}}</p>',
+      '<p>{{{lower name}}}</p>',
+      '<a href="/users/{{encode (upper name)}}">'
+    ].join('\n'));
+
+    return asyncHelpers2.resolve(fn({name: '<Tom & Jerry>'}))
+      .then(function(content) {
+        assert.equal(content, [
+          '<p>&lt;TOM &amp; JERRY&gt;</p>',
+          '<p><tom & jerry></p>',
+          '<a href="/users/%3CTOM%20%26%20JERRY%3E">'
+        ].join('\n'));
+      });
+  });
+
+  it('should resolve the block content of async block helpers', function() {
+    var asyncFns;
+    try {
+      asyncFns = require('./support/async');
+    } catch (err) {
+      this.skip();
+      return;
+    }
+
+    asyncHelpers.set('trim', asyncFns.trim);
+    hbs.registerHelper(asyncHelpers.get({wrap: true}));
+    var fn = hbs.compile('[{{#trim}}  {{upper name}} {{lower name}}  {{/trim}}]');
+
+    return asyncHelpers.resolve(fn({name: 'Doowb'}))
+      .then(function(content) {
+        assert.equal(content, '[DOOWB doowb]');
+      });
+  });
+
+  it('should release the `fn.concurrency` slot of block helpers while they wait for the block', function() {
+    var asyncFns;
+    try {
+      asyncFns = require('./support/async');
+    } catch (err) {
+      this.skip();
+      return;
+    }
+
+    var section = function(options) {
+      return asyncFns.section.call(this, options);
+    };
+    section.block = true;
+    section.concurrency = 1;
+    asyncHelpers.set('section', section);
+    hbs.registerHelper(asyncHelpers.get({wrap: true}));
+    var fn = hbs.compile('{{#section}}{{#section}}{{upper name}}{{/section}}{{/section}}');
+
+    return asyncHelpers.resolve(fn({name: 'Doowb'}))
+      .then(function(content) {
+        assert.equal(content, '<<DOOWB>>');
+      });
+  });
+
+  it('should limit helpers in the blocks of async block helpers', function() {
+    var running = 0;
+    var max = 0;
+    function lookupUser(id) {
+      running++;
+      max = Math.max(max, running);
+      return new Promise(function(resolve) {
+        setTimeout(function() {
+          running--;
+          resolve('user-' + id);
+        }, 5);
+      });
+    }
+    lookupUser.concurrency = 2;
+
+    function section(options) {
+      return options.fn(this).then(function(str) {
+        return '<' + str + '>';
+      });
+    }
+    section.block = true;
+
+    var ids = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    asyncHelpers.set(AsyncHelpers.helpers);
+    asyncHelpers.set({
+      ids: function() {
+        return Promise.resolve(ids);
+      },
+      lookupUser: lookupUser,
+      section: section
+    });
+    hbs.registerHelper(asyncHelpers.get({wrap: true}));
+    var fn = hbs.compile([
+      '{{#each (ids)}}{{lookupUser this}},{{/each}}',
+      '{{#section}}{{lookupUser 1}}{{lookupUser 2}}{{lookupUser 3}}{{/section}}'
+    ].join('|'));
+
+    return asyncHelpers.resolve(fn())
+      .then(function(content) {
+        var users = ids.map(function(id) {
+          return 'user-' + id;
+        });
+        assert.equal(content, users.join(',') + ',|<user-1user-2user-3>');
+        assert.equal(max, 2);
+      });
+  });
+
+  describe('each and with', function() {
+    function records(items) {
+      var stream = new Readable({objectMode: true, read: function() {}});
+      items.forEach(function(item) {
+        stream.push(item);
+      });
+      stream.push(null);
+      return stream;
+    }
+
+    function iterator(items) {
+      var i = 0;
+      var it = {
+        next: function() {
+          return Promise.resolve(i < items.length ? {value: items[i++], done: false} : {done: true});
+        }
+      };
+      it[Symbol.asyncIterator] = function() {
+        return it;
+      };
+      return it;
+    }
+
+    var users = [{name: 'brian'}, {name: 'jon'}, {name: 'nils'}];
+    var tmpl = '{{#each (list type)}}{{@index}}{{#if @first}}^{{/if}}:{{upper name}}{{#if @last}}${{else}},{{/if}}{{else}}empty{{/each}}';
+
+    beforeEach(function() {
+      asyncHelpers.set(AsyncHelpers.helpers);
+      asyncHelpers.set('list', function(type, options) {
+        switch (type) {
+          case 'stream':
+            return Promise.resolve(records(users));
+          case 'iterator':
+            return Promise.resolve(iterator(users));
+          case 'empty':
+            return Promise.resolve([]);
+          default: {
+            return Promise.resolve(users);
+          }
+        }
+      });
+      hbs.registerHelper(asyncHelpers.get({wrap: true}));
+    });
+
+    ['array', 'iterator', 'stream'].forEach(function(type) {
+      it('should iterate over an ' + type + ' from an async helper', function() {
+        if (type === 'iterator' && typeof Symbol.asyncIterator !== 'symbol') {
+          this.skip();
+          return;
+        }
+        var fn = hbs.compile(tmpl);
+        return asyncHelpers.resolve(fn({type: type}))
+          .then(function(content) {
+            assert.equal(content, '0^:BRIAN,1:JON,2:NILS$');
+          });
+      });
+    });
+
+    it('should render the inverse block when there are no items', function() {
+      var fn = hbs.compile(tmpl);
+      return asyncHelpers.resolve(fn({type: 'empty'}))
+        .then(function(content) {
+          assert.equal(content, 'empty');
+        });
+    });
+
+    it('should iterate over objects', function() {
+      var fn = hbs.compile('{{#each obj}}{{@key}}={{upper this}};{{/each}}');
+      return asyncHelpers.resolve(fn({obj: {a: 'x', b: 'y'}}))
+        .then(function(content) {
+          assert.equal(content, 'a=X;b=Y;');
+        });
+    });
+
+    it('should use the value from an async helper with `with`', function() {
+      var fn = hbs.compile('{{#with (list "stream") as |people|}}{{people.length}} {{upper people.[1].name}}{{/with}}');
+      return asyncHelpers.resolve(fn({}))
+        .then(function(content) {
+          assert.equal(content, '3 JON');
+        });
+    });
+
+    it('should render the inverse block of `with` for empty values', function() {
+      var fn = hbs.compile('{{#with (list "empty")}}full{{else}}empty{{/with}}');
+      return asyncHelpers.resolve(fn({}))
+        .then(function(content) {
+          assert.equal(content, 'empty');
+        });
+    });
+  });
+
+  describe('partials', function() {
+    beforeEach(function() {
+      hbs.registerPartial('header', '<h1>{{upper title}}</h1>');
+      hbs.registerHelper(asyncHelpers.get({wrap: true}));
+    });
+
+    it('should render partials with names from async helpers', function() {
+      asyncHelpers.partials(hbs);
+      var fn = hbs.compile('{{> (lower "HEADER") }} {{> (partialName) }}');
+      return asyncHelpers.resolve(fn({title: 'home', customName: 'custom'}))
+        .then(function(content) {
+          assert.equal(content, '<h1>HOME</h1> a partial');
+        });
+    });
+
+    it('should resolve async hash values passed to partials', function() {
+      asyncHelpers.partials(hbs);
+      var fn = hbs.compile('{{> (lower "HEADER") title=(lower "ABOUT") }}');
+      return asyncHelpers.resolve(fn({title: 'home'}))
+        .then(function(content) {
+          assert.equal(content, '<h1>ABOUT</h1>');
+        });
+    });
+
+    it('should load partials that are not registered', function() {
+      var loaded = [];
+      asyncHelpers.partials(hbs, {
+        load: function(name) {
+          loaded.push(name);
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              resolve('<footer>{{lower name}}</footer>');
+            }, 5);
+          });
+        }
+      });
+
+      var fn = hbs.compile('{{> header }}{{> footer }}{{> (lower "FOOTER") }}');
+      return asyncHelpers.resolve(fn({title: 'home', name: 'DOOWB'}))
+        .then(function(content) {
+          assert.equal(content, '<h1>HOME</h1><footer>doowb</footer><footer>doowb</footer>');
+          assert.deepEqual(loaded, ['footer']);
+          assert(hbs.partials.hasOwnProperty('footer'));
+        });
+    });
+
+    it('should support loaders that call back', function() {
+      asyncHelpers.partials(hbs, {
+        load: function(name, cb) {
+          cb(null, name === 'footer' ? 'bye' : null);
+        }
+      });
+
+      var fn = hbs.compile('{{> footer }}{{#> missing }}fallback{{/missing}}');
+      return asyncHelpers.resolve(fn({}))
+        .then(function(content) {
+          assert.equal(content, 'byefallback');
+        });
+    });
+
+    it('should indent async partials', function() {
+      hbs.registerPartial('list', '- {{upper a}}\n- {{upper b}}\n');
+      asyncHelpers.partials(hbs);
+      var fn = hbs.compile('list:\n  {{> (lower "LIST") }}\nend');
+      return asyncHelpers.resolve(fn({a: 'x', b: 'y'}))
+        .then(function(content) {
+          assert.equal(content, 'list:\n  - X\n  - Y\nend');
+        });
+    });
+
+    it('should reject when a partial can not be found', function() {
+      asyncHelpers.partials(hbs, {
+        load: function(name) {}
+      });
+
+      var fn = hbs.compile('{{> (lower "NOPE") }}');
+      return asyncHelpers.resolve(fn({}))
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert(/The partial nope could not be found/.test(err.message));
+        });
+    });
+
+    it('should not change other handlebars environments', function() {
+      var VM = hbs.VM;
+      asyncHelpers.partials(hbs);
+      assert.notEqual(hbs.VM, VM);
+      assert.equal(Handlebars.VM.invokePartial, VM.invokePartial);
+    });
+  });
+
+  describe('adapter', function() {
+    var adapter;
+
+    function list(options, cb) {
+      cb(null, ['a', 'b']);
+    }
+    list.async = true;
+
+    beforeEach(function() {
+      adapter = AsyncHelpers.handlebars(hbs);
+      adapter.registerHelper({
+        upper: helpers.upper,
+        lower: helpers.lower,
+        spacer: helpers.spacer,
+        is: helpers.is,
+        list: list
+      });
+      adapter.registerHelper('user', function(options) {
+        return Promise.resolve({first: 'Brian', last: 'Woodward'});
+      });
+    });
+
+    it('should compile templates that return a promise for the resolved string', function() {
+      var fn = adapter.compile('{{upper name}} {{spacer (lower name) "-"}}');
+      return fn({name: 'Doowb'})
+        .then(function(content) {
+          assert.equal(content, 'DOOWB d-o-o-w-b');
+          assert.equal(adapter.asyncHelpers.count(), 0);
+        });
+    });
+
+    it('should render templates in one call', function() {
+      return adapter.render('<p>{{lower name}}</p>', {name: '<B>'})
+        .then(function(content) {
+          assert.equal(content, '<p>&lt;b&gt;</p>');
+        });
+    });
+
+    it('should render templates concurrently', function() {
+      var fn = adapter.compile('{{upper name}}');
+      return Promise.all([fn({name: 'a'}), fn({name: 'b'})])
+        .then(function(res) {
+          assert.deepEqual(res, ['A', 'B']);
+        });
+    });
+
+    it('should wait for async values in built-in helpers', function() {
+      var fn = adapter.compile([
+        '{{#if (is flag)}}yes{{else}}no{{/if}}',
+        '{{#unless (is flag)}}yes{{else}}no{{/unless}}',
+        '{{lookup (user) "first"}}',
+        '{{#each (list)}}{{@index}}{{upper this}}{{/each}}',
+        '{{#with (user)}}{{last}}{{/with}}'
+      ].join(' '));
+
+      return fn({flag: false})
+        .then(function(content) {
+          assert.equal(content, 'no yes Brian 0A1B Woodward');
+        });
+    });
+
+    it('should keep built-in helpers working with sync values', function() {
+      var fn = adapter.compile('{{#if flag}}{{#each items}}{{upper this}}{{/each}}{{/if}}{{#with obj}}{{a}}{{/with}}');
+      return fn({flag: true, items: ['x', 'y'], obj: {a: 'z'}})
+        .then(function(content) {
+          assert.equal(content, 'XYz');
+        });
+    });
+
+    it('should not share memoized results between different blocks', function() {
+      var memoized = AsyncHelpers.handlebars(Handlebars.create(), {memoize: true});
+      memoized.registerHelper('shout', function(options) {
+        return Promise.resolve(options.fn(this).toUpperCase());
+      });
+      return memoized.render('{{#shout}}a{{/shout}}-{{#shout}}b{{/shout}}', {})
+        .then(function(content) {
+          assert.equal(content, 'A-B');
+        });
+    });
+
+    it('should not share memoized results between contexts', function() {
+      var memoized = AsyncHelpers.handlebars(Handlebars.create(), {memoize: true});
+      memoized.registerHelper('name', function(options) {
+        return Promise.resolve(this.name);
+      });
+      return memoized.render('{{#each people}}{{name}},{{/each}}', {people: [{name: 'x'}, {name: 'y'}]})
+        .then(function(content) {
+          assert.equal(content, 'x,y,');
+        });
+    });
+
+    it('should keep primitive contexts for helpers that take a signal', function() {
+      var AbortController = global.AbortController;
+      if (typeof AbortController !== 'function') {
+        this.skip();
+        return;
+      }
+
+      var tag = function(options) {
+        return Promise.resolve('[' + this + ']' + (options.signal === controller.signal));
+      };
+      tag.signal = true;
+      adapter.registerHelper('tag', tag);
+      var controller = new AbortController();
+      var fn = adapter.compile('{{#each list}}{{tag}}{{/each}}');
+      return fn({list: ['a', 'b']}, {signal: controller.signal})
+        .then(function(content) {
+          assert.equal(content, '[a]true[b]true');
+        });
+    });
+
+    it('should render async partials', function() {
+      adapter.registerPartial('card', '[{{upper name}}]');
+      var fn = adapter.compile('{{> (lower "CARD") }}');
+      return fn({name: 'doowb'})
+        .then(function(content) {
+          assert.equal(content, '[DOOWB]');
+        });
+    });
+
+    it('should reject with errors from helpers', function() {
+      function fail(options, cb) {
+        cb(new Error('nope'));
+      }
+      fail.async = true;
+      adapter.registerHelper('fail', fail);
+
+      return adapter.render('{{fail}}', {})
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.message, 'nope');
+          assert.equal(adapter.asyncHelpers.count(), 0);
+        });
+    });
+
+    it('should add the template name and position to errors', function() {
+      function fail(str, options, cb) {
+        cb(new Error('nope'));
+      }
+      fail.async = true;
+      adapter.registerHelper('fail', fail);
+
+      var fn = adapter.compile('a\n  {{upper (fail name)}}', {name: 'page.hbs'});
+      return fn({name: 'doowb'})
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert(err instanceof AsyncHelpers.AsyncHelperError);
+          assert.equal(err.helperName, 'fail');
+          assert.equal(err.chain.length, 1);
+          assert.equal(err.template, 'page.hbs');
+          assert.deepEqual(err.loc, {line: 2, column: 10});
+        });
+    });
+
+    it('should reject with template errors', function() {
+      return adapter.render('{{#if}}', {})
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert(err instanceof Error);
+        });
+    });
+  });
 });
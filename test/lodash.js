@@ -2,6 +2,7 @@
 
 var assert = require('assert');
 var _ = require('lodash');
+var underscore = require('underscore');
 var helpers = require('./support/helpers').lodash;
 var AsyncHelpers = require('../');
 
@@ -50,4 +51,80 @@ describe('lodash', function() {
       done();
     });
   });
+
+  describe('adapter', function() {
+    var adapter;
+
+    beforeEach(function() {
+      adapter = AsyncHelpers.lodash(_);
+      adapter.registerHelper(helpers);
+    });
+
+    it('should compile templates that return a promise for the resolved string', function() {
+      var fn = adapter.compile('<%= spacer(upper(name)) %> <%= spacer(lower(name), "-") %>');
+      return fn({name: 'Doowb'})
+        .then(function(content) {
+          assert.equal(content, 'D O O W B d-o-o-w-b');
+          assert.equal(adapter.asyncHelpers.count(), 0);
+        });
+    });
+
+    it('should escape values rendered with `<%- %>`', function() {
+      return adapter.render('<%- lower(name) %>|<%= lower(name) %>', {name: '<B>'})
+        .then(function(content) {
+          assert.equal(content, '&lt;b&gt;|<b>');
+        });
+    });
+
+    it('should render templates concurrently', function() {
+      var fn = adapter.compile('<%= lower(name) %>');
+      return Promise.all([fn({name: 'A'}), fn({name: 'B'})])
+        .then(function(res) {
+          assert.deepEqual(res, ['a', 'b']);
+        });
+    });
+
+    it('should use helpers with the `variable` setting', function() {
+      return adapter.render('<%= upper(data.name) %>', {name: 'doowb'}, {variable: 'data'})
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+        });
+    });
+
+    it('should use helpers that are registered after compiling', function() {
+      var fn = adapter.compile('<%= lower(name) %><%= shout(name) %>');
+      adapter.registerHelper('shout', function(str) {
+        return Promise.resolve(str.toUpperCase() + '!');
+      });
+      return fn({name: 'Doowb'})
+        .then(function(content) {
+          assert.equal(content, 'doowbDOOWB!');
+        });
+    });
+
+    it('should add helpers to the data object with Underscore', function() {
+      adapter = AsyncHelpers.lodash(underscore);
+      adapter.registerHelper(helpers);
+      return adapter.render('<%= lower(upper(name)) %>', {name: 'Doowb'})
+        .then(function(content) {
+          assert.equal(content, 'doowb');
+        });
+    });
+
+    it('should reject with errors from helpers', function() {
+      function fail(cb) {
+        cb(new Error('nope'));
+      }
+      fail.async = true;
+      adapter.registerHelper('fail', fail);
+
+      return adapter.render('<%= fail() %>', {})
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.message, 'nope');
+          assert.equal(adapter.asyncHelpers.count(), 0);
+        });
+    });
+  });
 });
@@ -0,0 +1,304 @@
+'use strict';
+
+require('mocha');
+var fs = require('fs');
+var path = require('path');
+var assert = require('assert');
+var Handlebars = require('handlebars');
+var AsyncHelpers = require('../');
+var MemoryStore = AsyncHelpers.MemoryStore;
+var FileStore = AsyncHelpers.FileStore;
+
+var actual = path.join(__dirname, 'actual/stores');
+
+function wait(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+function rimraf(dir) {
+  if (!fs.existsSync(dir)) return;
+  fs.readdirSync(dir).forEach(function(name) {
+    fs.unlinkSync(path.join(dir, name));
+  });
+  fs.rmdirSync(dir);
+}
+
+describe('stores', function() {
+  describe('MemoryStore', function() {
+    it('should get and set values', function() {
+      var store = new MemoryStore();
+      return store.set('foo', {a: 'b'})
+        .then(function() {
+          return store.get('foo');
+        })
+        .then(function(val) {
+          assert.deepEqual(val, {a: 'b'});
+          return store.get('bar');
+        })
+        .then(function(val) {
+          assert.equal(typeof val, 'undefined');
+        });
+    });
+
+    it('should delete values', function() {
+      var store = new MemoryStore();
+      return store.set('foo', 'bar')
+        .then(function() {
+          return store.delete('foo');
+        })
+        .then(function() {
+          return store.get('foo');
+        })
+        .then(function(val) {
+          assert.equal(typeof val, 'undefined');
+        });
+    });
+
+    it('should remove the least recently used values', function() {
+      var store = new MemoryStore({max: 2});
+      return store.set('a', 1)
+        .then(function() {
+          return store.set('b', 2);
+        })
+        .then(function() {
+          return store.get('a');
+        })
+        .then(function() {
+          return store.set('c', 3);
+        })
+        .then(function() {
+          return Promise.all([store.get('a'), store.get('b'), store.get('c')]);
+        })
+        .then(function(vals) {
+          assert.deepEqual(vals, [1, undefined, 3]);
+        });
+    });
+
+    it('should expire values after `ttl`', function() {
+      var store = new MemoryStore();
+      return store.set('foo', 'bar', 5)
+        .then(function() {
+          return wait(10);
+        })
+        .then(function() {
+          return store.get('foo');
+        })
+        .then(function(val) {
+          assert.equal(typeof val, 'undefined');
+        });
+    });
+  });
+
+  describe('FileStore', function() {
+    beforeEach(function() {
+      rimraf(actual);
+    });
+
+    after(function() {
+      rimraf(actual);
+    });
+
+    it('should get and set values', function() {
+      var store = new FileStore({dir: actual});
+      return store.set('foo', {a: 'b'})
+        .then(function() {
+          assert(fs.existsSync(store.filepath('foo')));
+          return new FileStore({dir: actual}).get('foo');
+        })
+        .then(function(val) {
+          assert.deepEqual(val, {a: 'b'});
+          return store.get('bar');
+        })
+        .then(function(val) {
+          assert.equal(typeof val, 'undefined');
+        });
+    });
+
+    it('should delete values', function() {
+      var store = new FileStore({dir: actual});
+      return store.set('foo', 'bar')
+        .then(function() {
+          return store.delete('foo');
+        })
+        .then(function() {
+          assert(!fs.existsSync(store.filepath('foo')));
+          return store.delete('foo');
+        });
+    });
+
+    it('should expire values after `ttl`', function() {
+      var store = new FileStore({dir: actual, ttl: 5});
+      return store.set('foo', 'bar')
+        .then(function() {
+          return wait(10);
+        })
+        .then(function() {
+          return store.get('foo');
+        })
+        .then(function(val) {
+          assert.equal(typeof val, 'undefined');
+          assert(!fs.existsSync(store.filepath('foo')));
+        });
+    });
+
+    it('should not share the default directory between projects', function() {
+      var cwd = process.cwd;
+      var a = new FileStore();
+      process.cwd = function() {
+        return path.join(cwd(), 'other');
+      };
+      try {
+        var b = new FileStore();
+        assert.notEqual(a.dir, b.dir);
+      } finally {
+        process.cwd = cwd;
+      }
+    });
+
+    it('should handle concurrent writes to the same key', function() {
+      var store = new FileStore({dir: actual});
+      var values = [1, 2, 3, 4, 5];
+      return Promise.all(values.map(function(val) {
+        return store.set('foo', val);
+      }))
+        .then(function() {
+          return store.get('foo');
+        })
+        .then(function(val) {
+          assert(values.indexOf(val) !== -1);
+          assert.deepEqual(fs.readdirSync(actual), [path.basename(store.filepath('foo'))]);
+        });
+    });
+  });
+
+  describe('store option', function() {
+    var calls;
+    var fetch = function(id) {
+      calls++;
+      return Promise.resolve('data-' + id);
+    };
+
+    beforeEach(function() {
+      calls = 0;
+      fetch.cacheable = true;
+      rimraf(actual);
+    });
+
+    after(function() {
+      rimraf(actual);
+    });
+
+    function render(store) {
+      var asyncHelpers = new AsyncHelpers({store: store});
+      asyncHelpers.set('fetch', fetch);
+      var helper = asyncHelpers.get('fetch', {wrap: true});
+      return asyncHelpers.resolve(helper(1) + ',' + helper(2));
+    }
+
+    it('should use stored results for cacheable helpers', function() {
+      var store = new MemoryStore();
+      return render(store)
+        .then(function(content) {
+          assert.equal(content, 'data-1,data-2');
+          return render(store);
+        })
+        .then(function(content) {
+          assert.equal(content, 'data-1,data-2');
+          assert.equal(calls, 2);
+        });
+    });
+
+    it('should use results stored on the file system', function() {
+      return render(new FileStore({dir: actual}))
+        .then(function() {
+          return render(new FileStore({dir: actual}));
+        })
+        .then(function(content) {
+          assert.equal(content, 'data-1,data-2');
+          assert.equal(calls, 2);
+        });
+    });
+
+    it('should not store results that can not be stored as JSON', function() {
+      var hbs = Handlebars.create();
+      var render = function() {
+        var adapter = AsyncHelpers.handlebars(hbs, {store: new FileStore({dir: actual})});
+        adapter.registerHelper('bold', bold);
+        return adapter.render('{{bold name}}', {name: 'x'});
+      };
+      var bold = function(str) {
+        calls++;
+        return Promise.resolve(new hbs.SafeString('<b>' + str + '</b>'));
+      };
+      bold.cacheable = true;
+
+      return render()
+        .then(function(content) {
+          assert.equal(content, '<b>x</b>');
+          return render();
+        })
+        .then(function(content) {
+          assert.equal(content, '<b>x</b>');
+          assert.equal(calls, 2);
+        });
+    });
+
+    it('should not use stored results for block helpers', function() {
+      var store = new MemoryStore();
+      var asyncHelpers = new AsyncHelpers({store: store});
+      var shout = function(options) {
+        return Promise.resolve(options.fn(this).toUpperCase());
+      };
+      shout.cacheable = true;
+      asyncHelpers.set('shout', shout);
+      var helper = asyncHelpers.get('shout', {wrap: true});
+      var block = function(str) {
+        return {hash: {}, data: {}, fn: function() { return str; }, inverse: function() { return ''; }};
+      };
+      return asyncHelpers.resolve(helper(block('a')) + helper(block('b')))
+        .then(function(content) {
+          assert.equal(content, 'AB');
+          assert.equal(store.entries.size, 0);
+        });
+    });
+
+    it('should not use the store for helpers that are not cacheable', function() {
+      var store = new MemoryStore();
+      fetch.cacheable = false;
+      return render(store)
+        .then(function() {
+          return render(store);
+        })
+        .then(function() {
+          assert.equal(calls, 4);
+        });
+    });
+
+    it('should call the helper when the store fails', function() {
+      var warnings = [];
+      var store = {
+        get: function() {
+          return Promise.reject(new Error('get'));
+        },
+        set: function() {
+          throw new Error('set');
+        },
+        delete: function() {}
+      };
+      var asyncHelpers = new AsyncHelpers({
+        store: store,
+        onWarning: function(err) {
+          warnings.push(err.message);
+        }
+      });
+      asyncHelpers.set('fetch', fetch);
+      return asyncHelpers.resolve(asyncHelpers.get('fetch', {wrap: true})(1))
+        .then(function(content) {
+          assert.equal(content, 'data-1');
+          assert.deepEqual(warnings, ['get', 'set']);
+        });
+    });
+  });
+});
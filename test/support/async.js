@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Helpers defined with `async function`. These are kept in a separate
+ * file so the tests can be skipped on versions of node that don't
+ * support async functions.
+ */
+
+module.exports = {
+  trim: async function(options) {
+    var str = await options.fn(this);
+    return str.trim();
+  },
+  count: async function(options) {
+    var str = await options.fn(this);
+    return str.split(',').filter(Boolean).length;
+  },
+  section: async function(options) {
+    return '<' + await options.fn(this) + '>';
+  },
+  unless: async function(val, options) {
+    var str = val ? await options.inverse(this) : await options.fn(this);
+    return '[' + str + ']';
+  }
+};
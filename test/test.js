@@ -5,6 +5,13 @@ var assert = require('assert');
 var co = require('co');
 var AsyncHelpers = require('../');
 var asyncHelpers = null;
+var asyncFns;
+
+try {
+  asyncFns = require('./support/async');
+} catch (err) {
+  asyncFns = null;
+}
 
 describe('async-helpers', function() {
   beforeEach(function() {
@@ -215,6 +222,248 @@ describe('async-helpers', function() {
           assert(err.hasOwnProperty('helper'), 'Expected a `helper` property on `err`');
         });
     });
+
+    it('should reject with an AsyncHelperError with the helper name and id', function() {
+      var cause = new Error('UPPER Error');
+      cause.code = 'EUPPER';
+      asyncHelpers.set('upper', function(str) {
+        throw cause;
+      });
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+
+      return asyncHelpers.resolve('name: ' + id)
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert(err instanceof AsyncHelpers.AsyncHelperError);
+          assert(err instanceof Error);
+          assert.equal(err.name, 'AsyncHelperError');
+          assert.equal(err.message, 'UPPER Error');
+          assert.equal(err.code, 'EUPPER');
+          assert.equal(err.cause, cause);
+          assert.equal(err.helperName, 'upper');
+          assert.equal(err.id, id);
+          assert.deepEqual(err.chain, []);
+          assert.equal(err.template, null);
+          assert.equal(err.loc, null);
+        });
+    });
+
+    it('should record the ids of the helpers waiting for a nested helper', function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.reject(new Error('UPPER Error'));
+      });
+      asyncHelpers.set('lower', function(str) {
+        return Promise.resolve(str.toLowerCase());
+      });
+      asyncHelpers.set('wrap', function(str) {
+        return '[' + str + ']';
+      });
+
+      var helpers = asyncHelpers.get({wrap: true});
+      var upper = helpers.upper('doowb');
+      var lower = helpers.lower(upper);
+      var wrap = helpers.wrap(lower);
+
+      return asyncHelpers.resolve(wrap)
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.helperName, 'upper');
+          assert.equal(err.id, upper);
+          assert.deepEqual(err.chain, [wrap, lower]);
+        });
+    });
+
+    it('should record the helper that returned a failing async id', function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.reject(new Error('UPPER Error'));
+      });
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      var inner;
+      asyncHelpers.set('outer', function() {
+        inner = upper('doowb');
+        return Promise.resolve('<' + inner + '>');
+      });
+      var outer = asyncHelpers.get('outer', {wrap: true})();
+
+      return asyncHelpers.resolve(outer)
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.id, inner);
+          assert.deepEqual(err.chain, [outer]);
+        });
+    });
+
+    it('should not change errors shared by several helpers', function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.reject(new Error('UPPER Error'));
+      });
+      asyncHelpers.set('lower', function(str) {
+        return str.toLowerCase();
+      });
+
+      var helpers = asyncHelpers.get({wrap: true});
+      var upper = helpers.upper('doowb');
+      var a = helpers.lower(upper);
+      var b = helpers.lower(upper);
+
+      return Promise.all([
+        asyncHelpers.resolveId(a).catch(function(err) {
+          return err;
+        }),
+        asyncHelpers.resolveId(b).catch(function(err) {
+          return err;
+        }),
+        asyncHelpers.resolveId(upper).catch(function(err) {
+          return err;
+        })
+      ])
+        .then(function(errors) {
+          assert.deepEqual(errors[0].chain, [a]);
+          assert.deepEqual(errors[1].chain, [b]);
+          assert.deepEqual(errors[2].chain, []);
+        });
+    });
+  });
+
+  describe('error policies', function() {
+    function fail(msg) {
+      return function() {
+        return Promise.reject(new Error(msg));
+      };
+    }
+
+    function upper(str) {
+      return str.toUpperCase();
+    }
+
+    it('should use the `fallback` string as the output of failing helpers', function() {
+      asyncHelpers = new AsyncHelpers({fallback: 'n/a'});
+      asyncHelpers.set({fail: fail('nope'), upper: upper});
+      var helpers = asyncHelpers.get({wrap: true});
+
+      return asyncHelpers.resolve('a: ' + helpers.fail() + ', b: ' + helpers.upper(helpers.fail()))
+        .then(function(content) {
+          assert.equal(content, 'a: n/a, b: N/A');
+        });
+    });
+
+    it('should call a `fallback` function with the error', function() {
+      asyncHelpers = new AsyncHelpers({
+        fallback: function(err) {
+          return '[' + err.helperName + ': ' + err.message + ']';
+        }
+      });
+      asyncHelpers.set('fail', fail('nope'));
+
+      return asyncHelpers.resolve('a: ' + asyncHelpers.get('fail', {wrap: true})())
+        .then(function(content) {
+          assert.equal(content, 'a: [fail: nope]');
+        });
+    });
+
+    it('should use the value returned by `fn.onError`', function() {
+      asyncHelpers = new AsyncHelpers({fallback: 'n/a'});
+      var helper = fail('nope');
+      helper.onError = function(err) {
+        assert.equal(this.name, 'doowb');
+        return Promise.resolve('handled ' + err.message);
+      };
+      asyncHelpers.set('fail', helper);
+      var id = asyncHelpers.get('fail', {wrap: true}).call({name: 'doowb'});
+
+      return asyncHelpers.resolve('a: ' + id)
+        .then(function(content) {
+          assert.equal(content, 'a: handled nope');
+        });
+    });
+
+    it('should reject with the error thrown by `fn.onError`', function() {
+      var helper = fail('nope');
+      helper.onError = function(err) {
+        throw new Error('still ' + err.message);
+      };
+      asyncHelpers.set('fail', helper);
+
+      return asyncHelpers.resolve(asyncHelpers.get('fail', {wrap: true})())
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.message, 'still nope');
+        });
+    });
+
+    it('should reject with all of the errors and the output in `aggregate` mode', function() {
+      asyncHelpers = new AsyncHelpers({aggregate: true});
+      asyncHelpers.set({a: fail('a'), b: fail('b'), upper: upper});
+      var helpers = asyncHelpers.get({wrap: true});
+      var str = [helpers.upper('x'), helpers.a(), helpers.upper(helpers.b()), helpers.upper('y')].join('|');
+
+      return asyncHelpers.resolve(str)
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.code, 'ERR_AGGREGATE');
+          assert.equal(err.message, 'AsyncHelpers#resolve: 2 helpers failed');
+          assert.deepEqual(err.errors.map(function(e) {
+            return e.message;
+          }), ['a', 'b']);
+          assert.deepEqual(err.errors[0].chain, []);
+          assert.deepEqual(err.errors[1].chain, [str.split('|')[2]]);
+          assert.equal(err.output, 'X|||Y');
+        });
+    });
+
+    it('should use the `fallback` in `aggregate` mode', function() {
+      asyncHelpers = new AsyncHelpers({aggregate: true, fallback: '?'});
+      asyncHelpers.set({a: fail('a'), upper: upper});
+      var helpers = asyncHelpers.get({wrap: true});
+
+      return asyncHelpers.resolveIds(helpers.upper('x') + helpers.a())
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.errors.length, 1);
+          assert.equal(err.output, 'X?');
+        });
+    });
+
+    it('should resolve when nothing fails in `aggregate` mode', function() {
+      asyncHelpers = new AsyncHelpers({aggregate: true});
+      asyncHelpers.set('upper', upper);
+
+      return asyncHelpers.resolve(asyncHelpers.get('upper', {wrap: true})('x'))
+        .then(function(content) {
+          assert.equal(content, 'X');
+        });
+    });
+
+    it('should reject after the last value in `aggregate` mode when iterating', function() {
+      asyncHelpers = new AsyncHelpers({aggregate: true});
+      asyncHelpers.set({a: fail('a'), upper: upper});
+      var helpers = asyncHelpers.get({wrap: true});
+      var iterator = asyncHelpers.iterate(helpers.a() + '-' + helpers.upper('x'));
+      var values = [];
+
+      function next() {
+        return iterator.next().then(function(res) {
+          if (res.done) {
+            throw new Error('expected an error');
+          }
+          values.push(res.value);
+          return next();
+        });
+      }
+
+      return next()
+        .catch(function(err) {
+          assert.deepEqual(values, ['', '-', 'X']);
+          assert.equal(err.errors.length, 1);
+          assert.equal(err.output, '-X');
+        });
+    });
   });
 
   describe('wrapHelper', function() {
@@ -303,30 +552,1694 @@ describe('async-helpers', function() {
   });
 
   describe('reset', function() {
+    it('should remove stashed helpers from the instance', function() {
+      asyncHelpers.set('upper', function(str) {
+        return str.toUpperCase();
+      });
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      assert(asyncHelpers.stash[id]);
+      asyncHelpers.reset();
+      assert.deepEqual(asyncHelpers.stash, {});
+      assert.equal(asyncHelpers.counter, 0);
+    });
 
+    it('should not remove stashed helpers from other instances', function() {
+      var asyncHelpers2 = new AsyncHelpers();
+      var upper = function(str) {
+        return str.toUpperCase();
+      };
+      asyncHelpers.set('upper', upper);
+      asyncHelpers2.set('upper', upper);
+      asyncHelpers.get('upper', {wrap: true})('foo');
+      var id = asyncHelpers2.get('upper', {wrap: true})('doowb');
+      asyncHelpers.reset();
+      return asyncHelpers2.resolveIds(id)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+        });
+    });
   });
 
-  describe('matches', function() {
+  describe('iterate', function() {
+    var done;
+
+    beforeEach(function() {
+      done = {};
+      asyncHelpers.set('delay', function(str, ms) {
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            done[str] = true;
+            resolve(str);
+          }, ms);
+        });
+      });
+    });
+
+    function collect(iterator, chunks) {
+      return iterator.next().then(function(res) {
+        if (res.done) return chunks;
+        chunks.push(res.value);
+        return collect(iterator, chunks);
+      });
+    }
 
+    it('should yield literal text and resolved values in order', function() {
+      var delay = asyncHelpers.get('delay', {wrap: true});
+      var str = '<a>' + delay('b', 20) + '<c>' + delay('d', 1) + delay('e', 5);
+      return collect(asyncHelpers.iterate(str), [])
+        .then(function(chunks) {
+          assert.deepEqual(chunks, ['<a>', 'b', '<c>', 'd', 'e']);
+        });
+    });
+
+    it('should yield values before later ids have resolved', function() {
+      var delay = asyncHelpers.get('delay', {wrap: true});
+      var iterator = asyncHelpers.iterate(delay('a', 1) + delay('b', 50));
+      return iterator.next()
+        .then(function(res) {
+          assert.equal(res.value, 'a');
+          assert(!done.b, 'expected "b" to still be pending');
+          return iterator.return();
+        });
+    });
+
+    it('should be an async iterable', function() {
+      if (typeof Symbol.asyncIterator !== 'symbol') return;
+      var iterator = asyncHelpers.iterate('foo');
+      assert.equal(iterator[Symbol.asyncIterator](), iterator);
+    });
+
+    it('should reject when a helper fails', function() {
+      asyncHelpers.set('fail', function() {
+        throw new Error('fail');
+      });
+      var fail = asyncHelpers.get('fail', {wrap: true});
+      var iterator = asyncHelpers.iterate('a' + fail());
+      return iterator.next()
+        .then(function(res) {
+          assert.equal(res.value, 'a');
+          return iterator.next();
+        })
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(err.message, 'fail');
+        });
+    });
+
+    it('should free resolved tokens in a session', function() {
+      var session = asyncHelpers.session();
+      var delay = session.get('delay', {wrap: true});
+      return collect(session.iterate(delay('a', 1) + delay('b', 1)), [])
+        .then(function(chunks) {
+          assert.deepEqual(chunks, ['a', 'b']);
+          assert.equal(session.count(), 0);
+        });
+    });
   });
 
-  describe('hasAsyncId', function() {
+  describe('stream', function() {
+    it('should stream the resolved string', function(cb) {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+      asyncHelpers.set('empty', function() {
+        return '';
+      });
+      var helpers = asyncHelpers.get({wrap: true});
+      var chunks = [];
+      asyncHelpers.stream('a ' + helpers.upper('b') + helpers.empty() + ' c')
+        .setEncoding('utf8')
+        .on('data', function(chunk) {
+          chunks.push(chunk);
+        })
+        .on('error', cb)
+        .on('end', function() {
+          assert.equal(chunks.join(''), 'a B c');
+          cb();
+        });
+    });
 
+    it('should emit an error when a helper fails', function(cb) {
+      asyncHelpers.set('fail', function() {
+        return Promise.reject(new Error('fail'));
+      });
+      asyncHelpers.stream(asyncHelpers.get('fail', {wrap: true})())
+        .on('data', function() {})
+        .on('error', function(err) {
+          assert.equal(err.message, 'fail');
+          cb();
+        });
+    });
   });
 
-  describe('resolveId', function() {
+  describe('unknown ids', function() {
+    beforeEach(function() {
+      asyncHelpers.set('upper', function(str) {
+        return str.toUpperCase();
+      });
+    });
+
+    it('should add a random nonce to the prefix', function() {
+      var a = new AsyncHelpers({nonce: true});
+      var b = new AsyncHelpers({nonce: true});
+      assert(/^\{\$ASYNCID\$[0-9a-f]{32}\$$/.test(a.prefix), a.prefix);
+      assert.notEqual(a.prefix, b.prefix);
+      a.set('upper', asyncHelpers.helpers.upper);
+      var id = a.get('upper', {wrap: true})('doowb');
+      assert.equal(id.indexOf(a.prefix), 0);
+      return a.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+        });
+    });
 
+    it('should not cache regexes for nonce prefixes', function() {
+      var size = Object.keys(AsyncHelpers.cache).length;
+      var a = new AsyncHelpers({nonce: true});
+      var b = new AsyncHelpers({nonce: true, escape: true});
+      assert.equal(Object.keys(AsyncHelpers.cache).length, size);
+      assert(a.prefixRegex instanceof RegExp);
+      assert(b.prefixRegex instanceof RegExp);
+    });
+
+    it('should not resolve ids that were not created with the nonce', function() {
+      var asyncHelpers2 = new AsyncHelpers({nonce: true});
+      asyncHelpers2.set('upper', asyncHelpers.helpers.upper);
+      var id = asyncHelpers2.get('upper', {wrap: true})('doowb');
+      var str = id + ' {$ASYNCID$0$0$}';
+      return asyncHelpers2.resolve(str)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB {$ASYNCID$0$0$}');
+        });
+    });
+
+    it('should leave unknown ids as is and report them', function() {
+      var warnings = [];
+      var asyncHelpers2 = new AsyncHelpers({
+        onWarning: function(err) {
+          warnings.push(err);
+        }
+      });
+      asyncHelpers2.set('upper', asyncHelpers.helpers.upper);
+      var upper = asyncHelpers2.get('upper', {wrap: true});
+      var unknown = '{$ASYNCID$' + asyncHelpers2.globalCounter + '$42$}';
+      var str = upper('comment: ' + unknown);
+      return asyncHelpers2.resolve(str + ' ' + unknown)
+        .then(function(content) {
+          assert.equal(content, 'COMMENT: ' + unknown + ' ' + unknown);
+          assert(warnings.length > 0);
+          assert.equal(warnings[0].code, 'ERR_UNKNOWN_ID');
+          assert.equal(warnings[0].id, unknown);
+        });
+    });
+
+    it('should resolve ids in arguments that contain other text', function() {
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      var id = upper('name: ' + upper('doowb'));
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'NAME: DOOWB');
+        });
+    });
   });
 
-  describe('resolveArgs', function() {
+  describe('escape', function() {
+    var asyncHelpers2;
+    var upper;
+
+    beforeEach(function() {
+      asyncHelpers2 = new AsyncHelpers({escape: true});
+      asyncHelpers2.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+      upper = asyncHelpers2.get('upper', {wrap: true});
+    });
 
+    it('should create ids with an escape marker', function() {
+      assert.equal(upper('a'), '{$ASYNCID$' + asyncHelpers2.globalCounter + '$0$&}');
+    });
+
+    it('should not escape values when the id was not escaped', function() {
+      return asyncHelpers2.resolve('<p>' + upper('<b>') + '</p>')
+        .then(function(content) {
+          assert.equal(content, '<p><B></p>');
+        });
+    });
+
+    it('should HTML escape values when the id was HTML escaped', function() {
+      var id = upper('<b> & "c"').replace('&', '&amp;');
+      assert(asyncHelpers2.hasAsyncId(id));
+      return asyncHelpers2.resolve('<p>' + id + '</p>')
+        .then(function(content) {
+          assert.equal(content, '<p>&lt;B&gt; &amp; &quot;C&quot;</p>');
+        });
+    });
+
+    it('should URL encode values when the id was URL encoded', function() {
+      var id = encodeURIComponent(upper('a b&c'));
+      assert(asyncHelpers2.hasAsyncId(id));
+      return asyncHelpers2.resolve('<a href="/search?q=' + id + '">')
+        .then(function(content) {
+          assert.equal(content, '<a href="/search?q=A%20B%26C">');
+        });
+    });
+
+    it('should resolve the same id in different forms', function() {
+      var id = upper('<a b>');
+      var str = [id, id.replace('&', '&amp;'), encodeURIComponent(id)].join(' ');
+      return asyncHelpers2.resolve(str)
+        .then(function(content) {
+          assert.equal(content, '<A B> &lt;A B&gt; %3CA%20B%3E');
+        });
+    });
+
+    it('should not escape safe strings', function() {
+      asyncHelpers2.set('safe', function(str) {
+        return {toHTML: function() { return '<b>' + str + '</b>'; }};
+      });
+      var id = asyncHelpers2.get('safe', {wrap: true})('a');
+      return asyncHelpers2.resolve(id.replace('&', '&amp;'))
+        .then(function(content) {
+          assert.equal(content, '<b>a</b>');
+        });
+    });
   });
 
-  describe('resolveObject', function() {
+  describe('block helpers', function() {
+    var itAsync = asyncFns ? it : it.skip;
+
+    beforeEach(function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+    });
+
+    // mimic the `options` object that handlebars passes to block helpers
+    function options(fn, inverse) {
+      return {hash: {}, data: {}, fn: fn, inverse: inverse || function() { return ''; }};
+    }
+
+    itAsync('should give async functions an `options.fn` that returns the resolved block', function() {
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      asyncHelpers.set('trim', asyncFns.trim);
+      var trim = asyncHelpers.get('trim', {wrap: true});
+      var id = trim.call({name: 'doowb'}, options(function(ctx) {
+        return '  ' + upper(ctx.name) + '  ';
+      }));
+      return asyncHelpers.resolve('[' + id + ']')
+        .then(function(content) {
+          assert.equal(content, '[DOOWB]');
+        });
+    });
+
+    itAsync('should resolve the block before the helper inspects it', function() {
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      asyncHelpers.set('count', asyncFns.count);
+      var count = asyncHelpers.get('count', {wrap: true});
+      var id = count(options(function() {
+        return [upper('a'), '', upper('b')].join(',');
+      }));
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, '2');
+        });
+    });
+
+    itAsync('should give async functions an `options.inverse` that returns the resolved block', function() {
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      asyncHelpers.set('unless', asyncFns.unless);
+      var unless = asyncHelpers.get('unless', {wrap: true});
+      var id = unless(true, options(function() {
+        return upper('a');
+      }, function() {
+        return upper('b');
+      }));
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, '[B]');
+        });
+    });
+
+    it('should give helpers with `fn.block` an `options.fn` that returns a promise', function() {
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      var shout = function(options) {
+        return options.fn(this).then(function(str) {
+          return str + '!';
+        });
+      };
+      shout.block = true;
+      asyncHelpers.set('shout', shout);
+      var id = asyncHelpers.get('shout', {wrap: true})(options(function() {
+        return upper('a');
+      }));
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'A!');
+        });
+    });
+
+    it('should call back with the resolved block', function() {
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      var wrap = function(options, cb) {
+        options.fn({name: 'doowb'}, function(err, str) {
+          if (err) return cb(err);
+          cb(null, '<' + str.length + ':' + str + '>');
+        });
+      };
+      wrap.async = true;
+      asyncHelpers.set('wrap', wrap);
+      var id = asyncHelpers.get('wrap', {wrap: true})(options(function(ctx) {
+        return upper(ctx.name);
+      }));
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, '<5:DOOWB>');
+        });
+    });
+
+    it('should return the rendered block to other helpers', function() {
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      asyncHelpers.set('block', function(options) {
+        return options.fn(this);
+      });
+      var id = asyncHelpers.get('block', {wrap: true})(options(function() {
+        return upper('a');
+      }));
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'A');
+        });
+    });
 
+    itAsync('should not count helpers in the block toward the concurrency limit', function() {
+      var asyncHelpers2 = new AsyncHelpers({concurrency: 1});
+      asyncHelpers2.set('upper', asyncHelpers.helpers.upper);
+      asyncHelpers2.set('trim', asyncFns.trim);
+      var upper = asyncHelpers2.get('upper', {wrap: true});
+      var trim = asyncHelpers2.get('trim', {wrap: true});
+      var id = trim(options(function() {
+        return ' ' + upper('a') + upper('b') + ' ';
+      }));
+      return asyncHelpers2.resolve(id + upper('c'))
+        .then(function(content) {
+          assert.equal(content, 'ABC');
+        });
+    });
   });
 
-  describe('resolveIds', function() {
+  describe('session', function() {
+    beforeEach(function() {
+      asyncHelpers.set('upper', function(str) {
+        return str.toUpperCase();
+      });
+      asyncHelpers.set('lower', function(str) {
+        return Promise.resolve(str.toLowerCase());
+      });
+    });
+
+    it('should stash tokens on the session instead of the instance', function() {
+      var session = asyncHelpers.session();
+      var id = session.get('upper', {wrap: true})('doowb');
+      assert(session.stash[id]);
+      assert.equal(session.count(), 1);
+      assert.equal(asyncHelpers.count(), 0);
+    });
+
+    it('should create ids that are unique across sessions', function() {
+      var a = asyncHelpers.session().get('upper', {wrap: true})('doowb');
+      var b = asyncHelpers.session().get('upper', {wrap: true})('doowb');
+      assert.notEqual(a, b);
+    });
+
+    it('should free tokens after they have been resolved', function() {
+      var session = asyncHelpers.session();
+      var helpers = session.get({wrap: true});
+      var str = helpers.upper(helpers.lower('DOOWB')) + ' ' + helpers.lower('FOO');
+      assert.equal(session.count(), 3);
+      return session.resolve(str)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB foo');
+          assert.equal(session.count(), 0);
+        });
+    });
+
+    it('should free tokens after an error', function() {
+      asyncHelpers.set('error', function() {
+        throw new Error('error');
+      });
+      var session = asyncHelpers.session();
+      var id = session.get('error', {wrap: true})();
+      return session.resolve(id)
+        .then(function() {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert.equal(err.message, 'error');
+          assert.equal(session.count(), 0);
+        });
+    });
+
+    it('should keep tokens that have not been resolved', function() {
+      var session = asyncHelpers.session();
+      var upper = session.get('upper', {wrap: true});
+      var id = upper('doowb');
+      upper('unused');
+      return session.resolveIds(id)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+          assert.equal(session.count(), 1);
+        });
+    });
+
+    it('should free all tokens when disposed', function() {
+      var session = asyncHelpers.session();
+      var upper = session.get('upper', {wrap: true});
+      upper('a');
+      upper('b');
+      assert.equal(session.count(), 2);
+      session.dispose();
+      assert.equal(session.count(), 0);
+    });
+
+    it('should not free tokens when resolved by an instance', function() {
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+          assert.equal(asyncHelpers.count(), 1);
+        });
+    });
+  });
+
+  describe('concurrency', function() {
+    function tracker() {
+      var state = {running: 0, max: 0, calls: 0};
+      state.fn = function(str) {
+        state.running++;
+        state.calls++;
+        state.max = Math.max(state.max, state.running);
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            state.running--;
+            resolve(str);
+          }, 5);
+        });
+      };
+      return state;
+    }
+
+    it('should throw when concurrency is not a positive number', function() {
+      assert.throws(function() {
+        AsyncHelpers({concurrency: 0});
+      }, /concurrency/);
+      assert.throws(function() {
+        AsyncHelpers({concurrency: '2'});
+      }, /concurrency/);
+    });
 
+    it('should limit the number of helpers running at the same time', function() {
+      var state = tracker();
+      var asyncHelpers2 = new AsyncHelpers({concurrency: 2});
+      asyncHelpers2.set('delay', state.fn);
+      var delay = asyncHelpers2.get('delay', {wrap: true});
+      var str = ['a', 'b', 'c', 'd', 'e'].map(delay).join('');
+      return asyncHelpers2.resolve(str)
+        .then(function(content) {
+          assert.equal(content, 'abcde');
+          assert.equal(state.calls, 5);
+          assert.equal(state.max, 2);
+        });
+    });
+
+    it('should limit the number of calls to a helper with `fn.concurrency`', function() {
+      var state = tracker();
+      var other = tracker();
+      state.fn.concurrency = 1;
+      asyncHelpers.set('limited', state.fn);
+      asyncHelpers.set('other', other.fn);
+      var helpers = asyncHelpers.get({wrap: true});
+      var str = ['a', 'b', 'c'].map(function(s) {
+        return helpers.limited(s) + helpers.other(s);
+      }).join('');
+      return asyncHelpers.resolve(str)
+        .then(function(content) {
+          assert.equal(content, 'aabbcc');
+          assert.equal(state.max, 1);
+          assert.equal(other.max, 3);
+        });
+    });
+
+    it('should limit helpers in blocks that the block helper does not wait for', function() {
+      var state = tracker();
+      state.fn.concurrency = 1;
+      asyncHelpers.set('limited', state.fn);
+      asyncHelpers.set('list', function(options) {
+        return options.fn(this);
+      });
+      var helpers = asyncHelpers.get({wrap: true});
+      var id = helpers.list({hash: {}, data: {}, fn: function() {
+        return ['a', 'b', 'c'].map(helpers.limited).join('');
+      }});
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'abc');
+          assert.equal(state.max, 1);
+        });
+    });
+
+    it('should let helpers in the block of an async block helper use its slot', function() {
+      var state = tracker();
+      var asyncHelpers2 = new AsyncHelpers({concurrency: 1});
+      asyncHelpers2.set('delay', state.fn);
+      var section = function(options) {
+        return options.fn(this).then(function(str) {
+          return '<' + str + '>';
+        });
+      };
+      section.block = true;
+      asyncHelpers2.set('section', section);
+      var helpers = asyncHelpers2.get({wrap: true});
+      var id = helpers.section({hash: {}, data: {}, fn: function() {
+        return ['a', 'b', 'c'].map(helpers.delay).join('');
+      }});
+      return asyncHelpers2.resolve(id + helpers.delay('d'))
+        .then(function(content) {
+          assert.equal(content, '<abc>d');
+          assert.equal(state.max, 1);
+        });
+    });
+
+    it('should not count nested helpers toward the limit of the outer helper', function() {
+      var asyncHelpers2 = new AsyncHelpers({concurrency: 1});
+      asyncHelpers2.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+      var upper = asyncHelpers2.get('upper', {wrap: true});
+      asyncHelpers2.set('outer', function(str) {
+        return Promise.resolve('<' + upper(str) + '>');
+      });
+      var outer = asyncHelpers2.get('outer', {wrap: true});
+      return asyncHelpers2.resolve(outer(upper('a')) + outer('b'))
+        .then(function(content) {
+          assert.equal(content, '<A><B>');
+        });
+    });
+  });
+
+  describe('timeout', function() {
+    function hang(str, cb) {}
+    hang.async = true;
+
+    it('should throw when timeout is not a positive number', function() {
+      assert.throws(function() {
+        AsyncHelpers({timeout: -1});
+      }, /timeout/);
+    });
+
+    it('should reject when a helper does not finish before the timeout', function() {
+      var asyncHelpers2 = new AsyncHelpers({timeout: 10});
+      asyncHelpers2.set('hang', hang);
+      var id = asyncHelpers2.get('hang', {wrap: true})('doowb');
+      return asyncHelpers2.resolve('foo ' + id)
+        .then(function() {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert.equal(err.code, 'ETIMEDOUT');
+          assert.equal(err.timeout, 10);
+          assert.equal(err.helper.name, 'hang');
+          assert.equal(err.helper.id, id);
+          assert.deepEqual(err.args, ['doowb']);
+          assert(/"hang" timed out after 10ms/.test(err.message));
+        });
+    });
+
+    it('should use the timeout defined on the helper', function() {
+      var slow = function(str) {
+        return new Promise(function(resolve) {
+          setTimeout(resolve.bind(null, str), 20);
+        });
+      };
+      slow.timeout = 100;
+      var asyncHelpers2 = new AsyncHelpers({timeout: 5});
+      asyncHelpers2.set('slow', slow);
+      var id = asyncHelpers2.get('slow', {wrap: true})('doowb');
+      return asyncHelpers2.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'doowb');
+        });
+    });
+
+    it('should time out helpers with `fn.timeout` without an instance timeout', function() {
+      var fn = function(str, cb) {};
+      fn.async = true;
+      fn.timeout = 5;
+      asyncHelpers.set('hang', fn);
+      var id = asyncHelpers.get('hang', {wrap: true})('doowb');
+      return asyncHelpers.resolve(id)
+        .then(function() {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert.equal(err.code, 'ETIMEDOUT');
+        });
+    });
+  });
+
+  describe('multiple callbacks', function() {
+    function expectError(helpers, id, re) {
+      return helpers.resolve(id)
+        .then(function() {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert.equal(err.code, 'ERR_MULTIPLE_CALLBACK');
+          assert(re.test(err.message), err.message);
+          assert(err.hasOwnProperty('helper'), 'Expected a `helper` property on `err`');
+        });
+    }
+
+    it('should reject when a helper calls back more than once', function() {
+      var twice = function(str, cb) {
+        cb(null, 'a');
+        cb(null, 'b');
+      };
+      twice.async = true;
+      asyncHelpers.set('twice', twice);
+      var id = asyncHelpers.get('twice', {wrap: true})('doowb');
+      return expectError(asyncHelpers, id, /"twice" called back more than once/);
+    });
+
+    it('should reject when a helper throws after calling back', function() {
+      var fn = function(str, cb) {
+        cb(null, str);
+        throw new Error('oops');
+      };
+      fn.async = true;
+      asyncHelpers.set('throws', fn);
+      var id = asyncHelpers.get('throws', {wrap: true})('doowb');
+      return expectError(asyncHelpers, id, /threw an error after calling back/);
+    });
+
+    it('should warn when a helper returns a promise and calls back', function() {
+      var warnings = [];
+      var fn = function(str, cb) {
+        cb(null, str);
+        return Promise.resolve(str);
+      };
+      fn.async = true;
+      var asyncHelpers2 = new AsyncHelpers({
+        onWarning: function(err) {
+          warnings.push(err);
+        }
+      });
+      asyncHelpers2.set('both', fn);
+      var id = asyncHelpers2.get('both', {wrap: true})('doowb');
+      return asyncHelpers2.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'doowb');
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 1);
+          });
+        })
+        .then(function() {
+          assert.equal(warnings.length, 1);
+          assert.equal(warnings[0].code, 'ERR_MULTIPLE_CALLBACK');
+          assert(/returned a result and called back/.test(warnings[0].message));
+        });
+    });
+
+    it('should warn when a helper returns a value and calls back', function() {
+      var warnings = [];
+      var fn = function(str, cb) {
+        cb(null, 'a');
+        return 'b';
+      };
+      fn.async = true;
+      var asyncHelpers2 = new AsyncHelpers({
+        onWarning: function(err) {
+          warnings.push(err);
+        }
+      });
+      asyncHelpers2.set('both', fn);
+      var id = asyncHelpers2.get('both', {wrap: true})('doowb');
+      return asyncHelpers2.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'a');
+          assert.equal(warnings.length, 1);
+          assert.equal(warnings[0].code, 'ERR_MULTIPLE_CALLBACK');
+          assert(/returned a result and called back/.test(warnings[0].message));
+        });
+    });
+
+    it('should reject when a helper returns a value and calls back later', function() {
+      var fn = function(str, cb) {
+        setTimeout(function() {
+          cb(null, 'a');
+        }, 1);
+        return 'b';
+      };
+      fn.async = true;
+      asyncHelpers.set('both', fn);
+      var id = asyncHelpers.get('both', {wrap: true})('doowb');
+      return expectError(asyncHelpers, id, /returned a result and called back/);
+    });
+
+    it('should not treat an async function that calls back as returning a result', function() {
+      var fn = function(str, cb) {
+        return Promise.resolve().then(function() {
+          cb(null, str.toUpperCase());
+        });
+      };
+      fn.async = true;
+      asyncHelpers.set('upper', fn);
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+        });
+    });
+
+    it('should pass late callbacks to the `onWarning` hook', function(done) {
+      var fn = function(str, cb) {
+        setTimeout(function() {
+          cb(null, 'a');
+          cb(null, 'b');
+        }, 1);
+      };
+      fn.async = true;
+      var asyncHelpers2 = new AsyncHelpers({
+        onWarning: function(err) {
+          assert.equal(err.code, 'ERR_MULTIPLE_CALLBACK');
+          assert.equal(err.helper.fn, fn);
+          done();
+        }
+      });
+      asyncHelpers2.set('late', fn);
+      var id = asyncHelpers2.get('late', {wrap: true})('doowb');
+      asyncHelpers2.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'a');
+        })
+        .catch(done);
+    });
+
+    it('should use the first result when `onWarning` is defined', function() {
+      var warnings = [];
+      var fn = function(str, cb) {
+        cb(null, 'a');
+        cb(null, 'b');
+      };
+      fn.async = true;
+      var asyncHelpers2 = new AsyncHelpers({
+        onWarning: function(err) {
+          warnings.push(err);
+        }
+      });
+      asyncHelpers2.set('twice', fn);
+      var id = asyncHelpers2.get('twice', {wrap: true})('doowb');
+      return asyncHelpers2.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'a');
+          assert.equal(warnings.length, 1);
+        });
+    });
+  });
+
+  describe('retry', function() {
+    function flaky(failures, code) {
+      var fn = function(str) {
+        fn.calls++;
+        if (fn.calls <= failures) {
+          var err = new Error('attempt ' + fn.calls + ' failed');
+          err.code = code || 'ECONNRESET';
+          return Promise.reject(err);
+        }
+        return Promise.resolve(str.toUpperCase());
+      };
+      fn.calls = 0;
+      return fn;
+    }
+
+    it('should call a failing helper again up to `fn.retry` attempts', function() {
+      var fn = flaky(2);
+      fn.retry = 3;
+      asyncHelpers.set('upper', fn);
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+          assert.equal(fn.calls, 3);
+        });
+    });
+
+    it('should record the error of each attempt on the final error', function() {
+      var fn = flaky(5);
+      fn.retry = {attempts: 3};
+      asyncHelpers.set('upper', fn);
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+
+      return asyncHelpers.resolve(id)
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(fn.calls, 3);
+          assert.equal(err.message, 'attempt 3 failed');
+          assert.equal(err.helper.fn, fn);
+          assert.deepEqual(err.attempts.map(function(e) {
+            return e.message;
+          }), ['attempt 1 failed', 'attempt 2 failed']);
+          assert.doesNotThrow(function() {
+            JSON.stringify(err);
+          });
+        });
+    });
+
+    it('should wait with exponential backoff between attempts', function() {
+      var fn = flaky(3);
+      var times = [];
+      var wrapped = function(str) {
+        times.push(Date.now());
+        return fn(str);
+      };
+      wrapped.retry = {attempts: 4, backoff: 10, factor: 2};
+      asyncHelpers.set('upper', wrapped);
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+          assert.equal(times.length, 4);
+          assert(times[1] - times[0] >= 9);
+          assert(times[2] - times[1] >= 19);
+          assert(times[3] - times[2] >= 39);
+        });
+    });
+
+    it('should not retry errors that are not `retryable`', function() {
+      var fn = flaky(5, 'ENOTFOUND');
+      var calls = [];
+      fn.retry = {
+        attempts: 3,
+        retryable: function(err, attempt) {
+          calls.push(attempt);
+          return err.code !== 'ENOTFOUND';
+        }
+      };
+      asyncHelpers.set('upper', fn);
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+
+      return asyncHelpers.resolve(id)
+        .then(function() {
+          throw new Error('expected an error');
+        }, function(err) {
+          assert.equal(fn.calls, 1);
+          assert.deepEqual(calls, [1]);
+          assert.equal(err.attempts.length, 0);
+        });
+    });
+
+    it('should retry helpers that time out', function() {
+      var calls = 0;
+      var fn = function(str, cb) {
+        if (++calls === 1) return;
+        cb(null, str.toUpperCase());
+      };
+      fn.async = true;
+      fn.timeout = 10;
+      fn.retry = 2;
+      asyncHelpers.set('upper', fn);
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+
+      return asyncHelpers.resolve(id)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB');
+          assert.equal(calls, 2);
+        });
+    });
+  });
+
+  describe('abort', function() {
+    var AbortController = global.AbortController;
+
+    beforeEach(function() {
+      if (typeof AbortController !== 'function') {
+        this.skip();
+      }
+    });
+
+    function expectAbort(promise) {
+      return promise.then(function() {
+        throw new Error('expected an error');
+      }, function(err) {
+        assert(err instanceof AsyncHelpers.AbortError);
+        assert.equal(err.name, 'AbortError');
+        assert.equal(err.code, 'ABORT_ERR');
+        return err;
+      });
+    }
+
+    it('should reject with an AbortError and not call waiting helpers', function() {
+      asyncHelpers = new AsyncHelpers({concurrency: 1});
+      var controller = new AbortController();
+      var calls = [];
+      asyncHelpers.set('wait', function(str, cb) {
+        calls.push(str);
+        if (str === 'a') {
+          controller.abort();
+        }
+        setTimeout(function() {
+          cb(null, str);
+        }, 10);
+      });
+      asyncHelpers.helpers.wait.async = true;
+      var wait = asyncHelpers.get('wait', {wrap: true});
+
+      return expectAbort(asyncHelpers.resolve(wait('a') + wait('b') + wait('c'), {signal: controller.signal}))
+        .then(function() {
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 30);
+          });
+        })
+        .then(function() {
+          assert.deepEqual(calls, ['a']);
+        });
+    });
+
+    it('should reject right away when the signal was already aborted', function() {
+      var controller = new AbortController();
+      var calls = 0;
+      asyncHelpers.set('upper', function(str) {
+        calls++;
+        return str.toUpperCase();
+      });
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      controller.abort();
+
+      return expectAbort(asyncHelpers.resolve(id, {signal: controller.signal}))
+        .then(function() {
+          assert.equal(calls, 0);
+        });
+    });
+
+    it('should keep the reason of the signal as `cause`', function() {
+      var controller = new AbortController();
+      var reason = new Error('client disconnected');
+      controller.abort(reason);
+
+      return expectAbort(asyncHelpers.resolve('foo', {signal: controller.signal}))
+        .then(function(err) {
+          assert.equal(err.cause, reason);
+        });
+    });
+
+    it('should pass the signal to helpers that opt in', function() {
+      var controller = new AbortController();
+      var signals = [];
+      var upper = function(str, options) {
+        signals.push(this.signal, options.signal, this.name);
+        return str.toUpperCase();
+      };
+      upper.signal = true;
+      var lower = function(str) {
+        signals.push(this.signal);
+        return str.toLowerCase();
+      };
+      asyncHelpers.set({upper: upper, lower: lower});
+      var helpers = asyncHelpers.get({wrap: true});
+      var str = helpers.upper.call({name: 'doowb'}, helpers.lower('X'), {hash: {}});
+
+      return asyncHelpers.resolve(str, {signal: controller.signal})
+        .then(function(content) {
+          assert.equal(content, 'X');
+          assert.deepEqual(signals, [undefined, controller.signal, controller.signal, 'doowb']);
+        });
+    });
+
+    it('should pass the signal to helpers called without a context', function() {
+      var controller = new AbortController();
+      var up = function(str) {
+        assert.equal(this.signal, controller.signal);
+        return str.toUpperCase();
+      };
+      up.signal = true;
+      asyncHelpers.set('up', up);
+      var id = asyncHelpers.get('up', {wrap: true})('x');
+      return asyncHelpers.resolve(id, {signal: controller.signal})
+        .then(function(content) {
+          assert.equal(content, 'X');
+        });
+    });
+
+    it('should not retry helpers after an abort', function() {
+      var controller = new AbortController();
+      var calls = 0;
+      var fail = function() {
+        calls++;
+        controller.abort();
+        return Promise.reject(new Error('nope'));
+      };
+      fail.retry = 3;
+      asyncHelpers.set('fail', fail);
+      var id = asyncHelpers.get('fail', {wrap: true})();
+
+      return expectAbort(asyncHelpers.resolve(id, {signal: controller.signal}))
+        .then(function() {
+          return asyncHelpers.resolveId(id).catch(function(err) {
+            assert.equal(err.message, 'nope');
+            assert.equal(calls, 1);
+          });
+        });
+    });
+
+    it('should pass an AbortError to the `resolveIds` callback', function(done) {
+      var controller = new AbortController();
+      controller.abort();
+      asyncHelpers.resolveIds('foo', {signal: controller.signal}, function(err) {
+        assert(err instanceof AsyncHelpers.AbortError);
+        done();
+      });
+    });
+
+    it('should reject `iterate` after an abort', function() {
+      var controller = new AbortController();
+      asyncHelpers.set('wait', function(str) {
+        return new Promise(function(resolve) {
+          setTimeout(resolve.bind(null, str), 20);
+        });
+      });
+      var wait = asyncHelpers.get('wait', {wrap: true});
+      var iterator = asyncHelpers.iterate('a' + wait('b'), {signal: controller.signal});
+
+      return iterator.next()
+        .then(function(res) {
+          assert.equal(res.value, 'a');
+          var next = iterator.next();
+          controller.abort();
+          return expectAbort(next);
+        })
+        .then(function() {
+          return iterator.next();
+        })
+        .then(function(res) {
+          assert.equal(res.done, true);
+        });
+    });
+
+    it('should emit an AbortError from `stream`', function(done) {
+      var controller = new AbortController();
+      asyncHelpers.set('wait', function(str) {
+        return new Promise(function(resolve) {
+          setTimeout(resolve.bind(null, str), 20);
+        });
+      });
+      var wait = asyncHelpers.get('wait', {wrap: true});
+      var stream = asyncHelpers.stream(wait('a'), {signal: controller.signal});
+
+      stream.on('error', function(err) {
+        assert(err instanceof AsyncHelpers.AbortError);
+        done();
+      });
+      stream.resume();
+      controller.abort();
+    });
+  });
+
+  describe('events', function() {
+    function record(emitter, names) {
+      var events = [];
+      names.forEach(function(name) {
+        emitter.on(name, function(event) {
+          events.push({type: name, event: event});
+        });
+      });
+      return events;
+    }
+
+    var names = ['token:create', 'helper:start', 'helper:end', 'helper:error', 'resolve:start', 'resolve:end'];
+
+    it('should be an event emitter', function() {
+      assert(asyncHelpers instanceof require('events').EventEmitter);
+    });
+
+    it('should emit events for tokens, helpers and resolving', function() {
+      var events = record(asyncHelpers, names);
+      asyncHelpers.set('upper', function(str) {
+        return str.toUpperCase();
+      });
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      var str = 'name: ' + id;
+
+      return asyncHelpers.resolve(str)
+        .then(function() {
+          assert.deepEqual(events.map(function(e) {
+            return e.type;
+          }), ['token:create', 'resolve:start', 'helper:start', 'helper:end', 'resolve:end']);
+
+          assert.deepEqual(events[0].event, {name: 'upper', id: id, args: ['doowb']});
+          assert.deepEqual(events[2].event, {name: 'upper', id: id, args: ['doowb']});
+
+          var end = events[3].event;
+          assert.equal(end.result, 'DOOWB');
+          assert.equal(typeof end.duration, 'number');
+
+          var done = events[4].event;
+          assert.equal(done.input, str);
+          assert.equal(done.output, 'name: DOOWB');
+          assert.equal(typeof done.duration, 'number');
+        });
+    });
+
+    it('should emit `helper:error` when a helper fails', function() {
+      var events = record(asyncHelpers, names);
+      asyncHelpers.set('fail', function() {
+        return Promise.reject(new Error('nope'));
+      });
+      var id = asyncHelpers.get('fail', {wrap: true})();
+
+      return asyncHelpers.resolve(id)
+        .catch(function(err) {
+          var types = events.map(function(e) {
+            return e.type;
+          });
+          assert.deepEqual(types, ['token:create', 'resolve:start', 'helper:start', 'helper:error', 'resolve:end']);
+          assert.equal(events[3].event.error, err);
+          assert.equal(events[3].event.id, id);
+          assert.equal(events[4].event.error, err);
+        });
+    });
+
+    it('should emit events for each attempt of a retried helper', function() {
+      var events = record(asyncHelpers, ['helper:start', 'helper:error', 'helper:end']);
+      var calls = 0;
+      var flaky = function() {
+        return ++calls === 1 ? Promise.reject(new Error('nope')) : Promise.resolve('ok');
+      };
+      flaky.retry = 2;
+      asyncHelpers.set('flaky', flaky);
+
+      return asyncHelpers.resolve(asyncHelpers.get('flaky', {wrap: true})())
+        .then(function() {
+          assert.deepEqual(events.map(function(e) {
+            return e.type;
+          }), ['helper:start', 'helper:error', 'helper:start', 'helper:end']);
+        });
+    });
+
+    it('should emit the events of sessions on the instance', function() {
+      var events = record(asyncHelpers, ['token:create', 'helper:end', 'resolve:end']);
+      asyncHelpers.set('upper', function(str) {
+        return str.toUpperCase();
+      });
+
+      var session = asyncHelpers.session();
+      var sessionEvents = record(session, ['helper:end']);
+      var id = session.get('upper', {wrap: true})('doowb');
+
+      return session.resolve(id)
+        .then(function() {
+          assert.deepEqual(events.map(function(e) {
+            return e.type;
+          }), ['token:create', 'helper:end', 'resolve:end']);
+          assert.equal(sessionEvents.length, 1);
+          assert.equal(asyncHelpers.listenerCount('helper:end'), 1);
+        });
+    });
+
+    it('should emit `resolve:end` when iterating is done', function() {
+      var events = record(asyncHelpers, ['resolve:start', 'resolve:end']);
+      asyncHelpers.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+      var iterator = asyncHelpers.iterate('a' + asyncHelpers.get('upper', {wrap: true})('b'));
+
+      function next() {
+        return iterator.next().then(function(res) {
+          return res.done ? null : next();
+        });
+      }
+
+      return next()
+        .then(function() {
+          assert.equal(events.length, 2);
+          assert.equal(events[1].event.output, 'aB');
+        });
+    });
+  });
+
+  describe('memoize', function() {
+    var calls;
+
+    beforeEach(function() {
+      calls = 0;
+      asyncHelpers.set('lookupUser', function(id) {
+        calls++;
+        return Promise.resolve('user-' + id);
+      });
+    });
+
+    it('should not memoize helpers by default', function() {
+      var lookup = asyncHelpers.get('lookupUser', {wrap: true});
+      return asyncHelpers.resolve(lookup(42) + lookup(42))
+        .then(function(content) {
+          assert.equal(content, 'user-42user-42');
+          assert.equal(calls, 2);
+        });
+    });
+
+    it('should share one execution for identical calls', function() {
+      var asyncHelpers2 = new AsyncHelpers({memoize: true});
+      asyncHelpers2.set('lookupUser', asyncHelpers.helpers.lookupUser);
+      var lookup = asyncHelpers2.get('lookupUser', {wrap: true});
+      return asyncHelpers2.resolve([lookup(42), lookup(42), lookup(1)].join(','))
+        .then(function(content) {
+          assert.equal(content, 'user-42,user-42,user-1');
+          assert.equal(calls, 2);
+        });
+    });
+
+    it('should compare handlebars options by their hash', function() {
+      var asyncHelpers2 = new AsyncHelpers({memoize: true});
+      asyncHelpers2.set('greet', function(options) {
+        calls++;
+        return 'hi ' + options.hash.name;
+      });
+      var greet = asyncHelpers2.get('greet', {wrap: true});
+      var str = [
+        greet({hash: {name: 'a'}, data: {index: 0}}),
+        greet({hash: {name: 'a'}, data: {index: 1}}),
+        greet({hash: {name: 'b'}, data: {index: 2}})
+      ].join(',');
+      return asyncHelpers2.resolve(str)
+        .then(function(content) {
+          assert.equal(content, 'hi a,hi a,hi b');
+          assert.equal(calls, 2);
+        });
+    });
+
+    it('should memoize helpers with `fn.memoize`', function() {
+      asyncHelpers.helpers.lookupUser.memoize = true;
+      var lookup = asyncHelpers.get('lookupUser', {wrap: true});
+      return asyncHelpers.resolve(lookup(42) + lookup(42))
+        .then(function(content) {
+          assert.equal(content, 'user-42user-42');
+          assert.equal(calls, 1);
+        });
+    });
+
+    it('should expire memoized results after `ttl`', function() {
+      var asyncHelpers2 = new AsyncHelpers({memoize: {ttl: 5}});
+      asyncHelpers2.set('lookupUser', asyncHelpers.helpers.lookupUser);
+      var lookup = asyncHelpers2.get('lookupUser', {wrap: true});
+      return asyncHelpers2.resolve(lookup(42))
+        .then(function() {
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 10);
+          });
+        })
+        .then(function() {
+          return asyncHelpers2.resolve(lookup(42));
+        })
+        .then(function() {
+          assert.equal(calls, 2);
+        });
+    });
+
+    it('should keep at most `max` memoized results', function() {
+      var asyncHelpers2 = new AsyncHelpers({memoize: {max: 2}});
+      asyncHelpers2.set('lookupUser', asyncHelpers.helpers.lookupUser);
+      var lookup = asyncHelpers2.get('lookupUser', {wrap: true});
+      return asyncHelpers2.resolve([lookup(1), lookup(2), lookup(3)].join(','))
+        .then(function() {
+          assert.equal(asyncHelpers2.memo.size, 2);
+          return asyncHelpers2.resolve(lookup(1));
+        })
+        .then(function() {
+          assert.equal(calls, 4);
+        });
+    });
+
+    it('should scope memoized results to a session', function() {
+      var asyncHelpers2 = new AsyncHelpers({memoize: true});
+      asyncHelpers2.set('lookupUser', asyncHelpers.helpers.lookupUser);
+      var a = asyncHelpers2.session();
+      var b = asyncHelpers2.session();
+      return a.resolve(a.get('lookupUser', {wrap: true})(42))
+        .then(function() {
+          return b.resolve(b.get('lookupUser', {wrap: true})(42));
+        })
+        .then(function() {
+          assert.equal(calls, 2);
+        });
+    });
+
+    it('should not memoize failed results', function() {
+      var fail = function(id) {
+        calls++;
+        throw new Error('fail');
+      };
+      fail.memoize = true;
+      asyncHelpers.set('fail', fail);
+      var helper = asyncHelpers.get('fail', {wrap: true});
+      return asyncHelpers.resolve(helper(1))
+        .catch(function() {
+          return asyncHelpers.resolve(helper(1));
+        })
+        .catch(function(err) {
+          assert.equal(err.message, 'fail');
+          assert.equal(calls, 2);
+        });
+    });
+  });
+
+  describe('stash', function() {
+    it('should stash helpers on the instance that created them', function() {
+      var asyncHelpers2 = new AsyncHelpers();
+      var upper = function(str) {
+        return str.toUpperCase();
+      };
+      asyncHelpers.set('upper', upper);
+      asyncHelpers2.set('upper', upper);
+      var a = asyncHelpers.get('upper', {wrap: true})('a');
+      var b = asyncHelpers2.get('upper', {wrap: true})('b');
+      assert.deepEqual(Object.keys(asyncHelpers.stash), [a]);
+      assert.deepEqual(Object.keys(asyncHelpers2.stash), [b]);
+    });
+  });
+
+  describe('matches', function() {
+
+  });
+
+  describe('hasAsyncId', function() {
+
+  });
+
+  describe('resolveId', function() {
+    it('should return a promise', function() {
+      asyncHelpers.set('upper', function(str) {
+        return str.toUpperCase();
+      });
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      return asyncHelpers.resolveId(id)
+        .then(function(val) {
+          assert.equal(val, 'DOOWB');
+        });
+    });
+
+    it('should reject when the id cannot be resolved', function() {
+      return asyncHelpers.resolveId('{$ASYNCID$0$42$}')
+        .then(function() {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert(/cannot resolve helper/.test(err.message));
+        });
+    });
+
+    it('should resolve a helper that returns a promise', function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      return asyncHelpers.resolveId(id)
+        .then(function(val) {
+          assert.equal(val, 'DOOWB');
+        });
+    });
+
+    it('should resolve a flagged async helper that returns a promise', function() {
+      var upper = function(str, cb) {
+        return Promise.resolve(str.toUpperCase());
+      };
+      upper.async = true;
+      asyncHelpers.set('upper', upper);
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      return asyncHelpers.resolveId(id)
+        .then(function(val) {
+          assert.equal(val, 'DOOWB');
+        });
+    });
+
+    it('should resolve async ids in the value of a returned promise', function() {
+      asyncHelpers.set('lower', function(str) {
+        return Promise.resolve(str.toLowerCase());
+      });
+      asyncHelpers.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+      var lower = asyncHelpers.get('lower', {wrap: true});
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      var id = upper(lower('DOOWB'));
+      return asyncHelpers.resolveId(id)
+        .then(function(val) {
+          assert.equal(val, 'DOOWB');
+        });
+    });
+
+    it('should format errors from rejected promises', function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.reject(new Error('UPPER Error'));
+      });
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      return asyncHelpers.resolveId(id)
+        .then(function(val) {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert.equal(err.message, 'UPPER Error');
+          assert(err.hasOwnProperty('helper'), 'Expected a `helper` property on `err`');
+          assert.deepEqual(err.args, ['doowb']);
+        });
+    });
+
+    it('should convert non-error rejection reasons to errors', function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.reject('nope');
+      });
+      var id = asyncHelpers.get('upper', {wrap: true})('doowb');
+      return asyncHelpers.resolveId(id)
+        .then(function(val) {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert(err instanceof Error);
+          assert.equal(err.message, 'nope');
+          assert(err.hasOwnProperty('helper'), 'Expected a `helper` property on `err`');
+        });
+    });
+  });
+
+  describe('resolveArgs', function() {
+    it('should resolve async ids in arguments concurrently', function() {
+      var running = 0;
+      var max = 0;
+      asyncHelpers.set('delay', function(str) {
+        running++;
+        max = Math.max(max, running);
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            running--;
+            resolve(str);
+          }, 10);
+        });
+      });
+      asyncHelpers.set('join', function(a, b, c) {
+        return [a, b, c].join('-');
+      });
+      var helpers = asyncHelpers.get({wrap: true});
+      var id = helpers.join(helpers.delay('a'), helpers.delay('b'), helpers.delay('c'));
+      return asyncHelpers.resolveId(id)
+        .then(function(val) {
+          assert.equal(val, 'a-b-c');
+          assert.equal(max, 3);
+        });
+    });
+
+    it('should reject with the error from the first failing argument', function() {
+      asyncHelpers.set('fail', function(str, ms) {
+        return new Promise(function(resolve, reject) {
+          setTimeout(function() {
+            reject(new Error(str));
+          }, ms);
+        });
+      });
+      asyncHelpers.set('join', function(a, b) {
+        return a + b;
+      });
+      var helpers = asyncHelpers.get({wrap: true});
+      var id = helpers.join(helpers.fail('first', 20), helpers.fail('second', 1));
+      return asyncHelpers.resolveId(id)
+        .then(function() {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert.equal(err.message, 'first');
+        });
+    });
+  });
+
+  describe('resolveObject', function() {
+    it('should resolve async ids in object values', function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      var obj = {first: upper('brian'), last: upper('woodward'), age: 42};
+      return asyncHelpers.resolveObject(obj)
+        .then(function(res) {
+          assert.deepEqual(res, {first: 'BRIAN', last: 'WOODWARD', age: 42});
+        });
+    });
+  });
+
+  describe('resolveIds', function() {
+    beforeEach(function() {
+      var lower = function(str, cb) {
+        cb(null, str.toLowerCase());
+      };
+      lower.async = true;
+      asyncHelpers.set('lower', lower);
+      asyncHelpers.set('upper', function(str) {
+        return str.toUpperCase();
+      });
+    });
+
+    it('should resolve ids with a callback', function(done) {
+      var helpers = asyncHelpers.get({wrap: true});
+      var str = helpers.upper('doowb') + ' ' + helpers.lower('DOOWB');
+      asyncHelpers.resolveIds(str, function(err, content) {
+        if (err) return done(err);
+        assert.equal(content, 'DOOWB doowb');
+        done();
+      });
+    });
+
+    it('should return a promise when a callback is not passed', function() {
+      var helpers = asyncHelpers.get({wrap: true});
+      var str = helpers.upper('doowb') + ' ' + helpers.lower('DOOWB');
+      return asyncHelpers.resolveIds(str)
+        .then(function(content) {
+          assert.equal(content, 'DOOWB doowb');
+        });
+    });
+
+    it('should resolve independent ids concurrently and preserve order', function() {
+      var running = 0;
+      var max = 0;
+      asyncHelpers.set('delay', function(str, ms) {
+        running++;
+        max = Math.max(max, running);
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            running--;
+            resolve(str);
+          }, ms);
+        });
+      });
+      var delay = asyncHelpers.get('delay', {wrap: true});
+      var str = [delay('a', 30), delay('b', 20), delay('c', 10)].join(',');
+      return asyncHelpers.resolveIds(str)
+        .then(function(content) {
+          assert.equal(content, 'a,b,c');
+          assert.equal(max, 3);
+        });
+    });
+
+    it('should only call a helper once when its id is used more than once', function() {
+      var count = 0;
+      asyncHelpers.set('count', function() {
+        return Promise.resolve(++count);
+      });
+      var id = asyncHelpers.get('count', {wrap: true})();
+      return asyncHelpers.resolveIds(id + ' ' + id)
+        .then(function(content) {
+          assert.equal(content, '1 1');
+          assert.equal(count, 1);
+        });
+    });
+
+    it('should reject with the error from the first failing id in the string', function() {
+      asyncHelpers.set('fail', function(str, ms, cb) {
+        setTimeout(function() {
+          cb(new Error(str));
+        }, ms);
+      });
+      asyncHelpers.helpers.fail.async = true;
+      var fail = asyncHelpers.get('fail', {wrap: true});
+      return asyncHelpers.resolveIds(fail('first', 20) + fail('second', 1))
+        .then(function() {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert.equal(err.message, 'first');
+        });
+    });
+
+    it('should not replace ids in values that have already been resolved', function() {
+      var helpers = asyncHelpers.get({wrap: true});
+      var second = helpers.upper('b');
+      asyncHelpers.set('list', function() {
+        return [second];
+      });
+      var list = asyncHelpers.get('list', {wrap: true});
+      return asyncHelpers.resolveIds(list() + ' ' + second)
+        .then(function(content) {
+          assert.equal(content, second + ' B');
+        });
+    });
+
+    it('should resolve strings with thousands of ids', function() {
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      var parts = [];
+      var expected = [];
+      for (var i = 0; i < 5000; i++) {
+        parts.push('<li>' + upper('item' + i) + '</li>');
+        expected.push('<li>ITEM' + i + '</li>');
+      }
+      return asyncHelpers.resolveIds(parts.join(''))
+        .then(function(content) {
+          assert.equal(content, expected.join(''));
+        });
+    });
+
+    it('should pass an error to the callback when a string is not passed', function(done) {
+      asyncHelpers.resolveIds(null, function(err) {
+        assert(err instanceof TypeError);
+        done();
+      });
+    });
+  });
+
+  describe('resolve', function() {
+    it('should return a promise that resolves to the substituted string', function() {
+      asyncHelpers.set('upper', function(str) {
+        return Promise.resolve(str.toUpperCase());
+      });
+      var upper = asyncHelpers.get('upper', {wrap: true});
+      return asyncHelpers.resolve('name: ' + upper('doowb'))
+        .then(function(content) {
+          assert.equal(content, 'name: DOOWB');
+        });
+    });
+
+    it('should return the string when it does not contain async ids', function() {
+      return asyncHelpers.resolve('foo')
+        .then(function(content) {
+          assert.equal(content, 'foo');
+        });
+    });
+
+    it('should reject when a string is not passed', function() {
+      return asyncHelpers.resolve()
+        .then(function() {
+          throw new Error('expected an error');
+        })
+        .catch(function(err) {
+          assert(err instanceof TypeError);
+        });
+    });
   });
 });